@@ -1,7 +1,48 @@
-import { isMediaUrl, getMediaType, getHlsType, isProtectedUrl } from './utils/media-detector.js';
+import {
+  isMediaUrl,
+  getMediaType,
+  getMediaTypeFromContentType,
+  parseContentType,
+  getStreamFormat,
+  getHlsType,
+  isProtectedUrl,
+  isIgnoredUrl,
+  getDetectionRules,
+  compileDetectionRules
+} from './utils/media-detector.js';
+import { parseMpd, summarizeRepresentation } from './utils/dash-parser.js';
+import { parseMasterPlaylist } from './utils/hls-parser.js';
+import { downloadAndWait } from './utils/file-output.js';
+import {
+  pickReplayHeaders, applyReplayHeaders, clearReplayHeaders, holdReplayHeaders, releaseReplayHeaders, MAX_HOSTS_PER_TAB
+} from './utils/request-headers.js';
+import { getSettings, DEFAULT_SETTINGS } from './utils/settings.js';
+import { createCaptureStore } from './utils/capture-store.js';
 
-// Cache for media URLs captured from network requests, keyed by tabId
-const tabMediaCache = new Map();
+// Media URLs captured from network requests, per tab. Kept in session storage because the
+// service worker is shut down when idle, which would otherwise lose every capture
+const networkCaptures = createCaptureStore('network');
+
+// Media the content script reported after the scan while watching the DOM, per tab
+const domCaptures = createCaptureStore('dom');
+
+// Referer/Origin/Cookie/Authorization the page sent, per tab as { host, headers } entries with
+// the most recently used host last. Kept with the captures so restored captures can still be fetched
+const tabRequestHeaders = createCaptureStore('headers');
+tabRequestHeaders.setLimits({ maxEntriesPerTab: MAX_HOSTS_PER_TAB });
+
+// Settings used on every request, refreshed whenever the options change
+let settings = { ...DEFAULT_SETTINGS };
+let detection = compileDetectionRules(getDetectionRules(settings));
+let settingsReady = applySettings();
+
+// The download manager lives in an offscreen document so downloads survive the popup closing
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+const DOWNLOAD_ACTIONS = ['download_start', 'download_cancel', 'download_stop', 'download_list'];
+let creatingOffscreen = null;
+
+// Main-world script that records MSE source buffers, registered only while captureMse is on
+const MSE_HOOK_SCRIPT_ID = 'mediavue-mse-hook';
 
 // Auto-refresh tabs when the extension is updated to ensure content scripts are fresh
 chrome.runtime.onInstalled.addListener((details) => {
@@ -22,55 +63,206 @@ chrome.runtime.onInstalled.addListener((details) => {
     .catch((error) => {
       // Quiet fail if side panel behavior cannot be set (e.g. older Chrome versions)
     });
+
+  // Registered content scripts don't survive an update
+  syncMseHook();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+  if (changes.captureMse) syncMseHook();
+  settingsReady = applySettings();
 });
 
+// The hook has to be in place before the page's player creates its MediaSource, so it is
+// registered for document_start rather than injected on scan; pages pick it up on reload
+async function syncMseHook() {
+  try {
+    const { captureMse } = await getSettings();
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [MSE_HOOK_SCRIPT_ID] });
+
+    if (captureMse && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: MSE_HOOK_SCRIPT_ID,
+        js: ['mse-hook.js'],
+        matches: ['<all_urls>'],
+        runAt: 'document_start',
+        world: 'MAIN',
+        allFrames: true
+      }]);
+    } else if (!captureMse && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [MSE_HOOK_SCRIPT_ID] });
+    }
+  } catch (e) {
+    console.error('Failed to update the MSE hook:', e);
+  }
+}
+
 
 // Listen for network requests to capture media files and manifests
 chrome.webRequest.onBeforeRequest.addListener(
-  (details) => {
+  async (details) => {
     // Ignore requests not associated with a tab (e.g., background requests) or internal ones
     if (details.tabId < 0) return;
     
     const url = details.url;
     if (url.startsWith('blob:')) return;
-    
-    if (isMediaUrl(url)) {
-      if (!tabMediaCache.has(details.tabId)) {
-        tabMediaCache.set(details.tabId, []);
-      }
-      
-      const cache = tabMediaCache.get(details.tabId);
-      // Check for exact URL match to avoid duplicates in the network cache
-      if (!cache.some(item => item.url === url)) {
-        cache.push({
-          url,
-          type: getMediaType(url),
-          source: 'network',
-          timestamp: Date.now()
-        });
-        
-        // Notify Side Panel of new discovery
-        chrome.runtime.sendMessage({ 
-          action: 'new_media_detected', 
-          tabId: details.tabId,
-          url: url 
-        }).catch(() => {
-          // Ignore error if side panel is not open
-        });
-        
-        // As per plan: Keep the last 100 requests per tab to manage memory
-        if (cache.length > 100) {
-          cache.shift();
-        }
-      }
+
+    // A restarted worker classifies with the user's rules, not the defaults
+    await settingsReady;
+    if (isMediaUrl(url, detection) && !isIgnoredUrl(url, detection)) {
+      recordNetworkMedia(details.tabId, { url, type: getMediaType(url, detection) });
     }
   },
   { urls: ["<all_urls>"] }
 );
 
+// Responses are classified by Content-Type too, which catches extensionless CDN URLs
+// (/video?id=123, /api/stream/abc) and gives file sizes without a separate HEAD request
+chrome.webRequest.onHeadersReceived.addListener(
+  async (details) => {
+    if (details.tabId < 0 || details.url.startsWith('blob:')) return;
+    // Redirects and errors carry no media
+    if (details.statusCode < 200 || details.statusCode >= 300) return;
+
+    await settingsReady;
+    if (isIgnoredUrl(details.url, detection)) return;
+
+    const headers = getResponseHeaders(details.responseHeaders);
+    const contentType = parseContentType(headers['content-type']);
+    let type = getMediaTypeFromContentType(contentType, details.url, detection);
+    if (type === 'unknown') {
+      if (!isMediaUrl(details.url, detection)) return;
+      type = getMediaType(details.url, detection);
+    }
+
+    recordNetworkMedia(details.tabId, {
+      url: details.url,
+      type,
+      contentType: contentType || undefined,
+      size: getResponseSize(details.statusCode, headers) || undefined
+    });
+  },
+  { urls: ["<all_urls>"], types: ['main_frame', 'sub_frame', 'media', 'xmlhttprequest', 'object', 'other'] },
+  ['responseHeaders']
+);
+
+/**
+ * Adds a captured URL to the tab's cache, or fills in what a later event learned about it
+ * (a request is seen before its response headers).
+ */
+async function recordNetworkMedia(tabId, entry) {
+  const isNew = await networkCaptures.update(tabId, (cache) => {
+    // Check for exact URL match to avoid duplicates in the network cache
+    const existing = cache.find(item => item.url === entry.url);
+    if (existing) {
+      if (entry.contentType) existing.contentType = entry.contentType;
+      if (entry.size) existing.size = entry.size;
+      // The server knows better than the URL extension what it sent
+      existing.type = entry.type;
+      return false;
+    }
+
+    cache.push({
+      ...entry,
+      source: 'network',
+      timestamp: Date.now()
+    });
+    return true;
+  });
+
+  if (isNew) announceNewMedia(tabId, entry.url);
+}
+
+/**
+ * Adds media the content script found while watching the DOM to the tab's cache.
+ */
+async function recordDomMedia(tabId, frameId, items) {
+  const added = await domCaptures.update(tabId, (cache) => {
+    const newItems = items.filter(item => !cache.some(cached => cached.url === item.url));
+    newItems.forEach(item => cache.push({ ...item, frameId }));
+    return newItems;
+  });
+
+  if (added.length > 0) announceNewMedia(tabId, added[0].url);
+}
+
+async function applySettings() {
+  settings = await getSettings();
+  detection = compileDetectionRules(getDetectionRules(settings));
+
+  const limits = { maxEntriesPerTab: settings.captureLimitPerTab, maxTabs: settings.captureTabLimit };
+  networkCaptures.setLimits(limits);
+  domCaptures.setLimits(limits);
+  tabRequestHeaders.setLimits({ maxTabs: settings.captureTabLimit });
+}
+
+function announceNewMedia(tabId, url) {
+  // Notify Side Panel of new discovery
+  chrome.runtime.sendMessage({ 
+    action: 'new_media_detected', 
+    tabId,
+    url
+  }).catch(() => {
+    // Ignore error if side panel is not open
+  });
+}
+
+function getResponseHeaders(responseHeaders = []) {
+  const headers = {};
+  responseHeaders.forEach(header => {
+    headers[header.name.toLowerCase()] = header.value;
+  });
+  return headers;
+}
+
+// Full responses report their size in Content-Length; partial (range) responses in Content-Range
+function getResponseSize(statusCode, headers) {
+  if (statusCode === 206) {
+    const match = /\/(\d+)\s*$/.exec(headers['content-range'] || '');
+    return match ? parseInt(match[1], 10) : null;
+  }
+  const length = parseInt(headers['content-length'], 10);
+  return length > 0 ? length : null;
+}
+
+// Record the headers pages send with media, manifest and segment requests, so MediaVue's
+// own requests to the same hosts can replay them instead of getting a 403
+chrome.webRequest.onBeforeSendHeaders.addListener(
+  (details) => {
+    if (details.tabId < 0) return;
+    const headers = pickReplayHeaders(details.requestHeaders);
+    if (headers) rememberRequestHeaders(details.tabId, details.url, headers);
+  },
+  { urls: ["<all_urls>"], types: ['media', 'xmlhttprequest', 'object', 'other'] },
+  ['requestHeaders', 'extraHeaders']
+);
+
+function rememberRequestHeaders(tabId, url, headers) {
+  const host = getHost(url);
+  if (!host) return;
+  // Re-adding keeps the most recently used hosts at the end, so the store drops the oldest
+  tabRequestHeaders.update(tabId, (entries) => {
+    const index = entries.findIndex(entry => entry.host === host);
+    if (index >= 0) entries.splice(index, 1);
+    entries.push({ host, headers });
+  });
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return null;
+  }
+}
+
 // Clean up cache when a tab is closed
 chrome.tabs.onRemoved.addListener((tabId) => {
-  tabMediaCache.delete(tabId);
+  networkCaptures.delete(tabId);
+  domCaptures.delete(tabId);
+  tabRequestHeaders.delete(tabId);
+  clearReplayHeaders(tabId).catch(() => {});
 });
 
 // Handle requests from the popup UI
@@ -94,26 +286,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return;
       }
 
-      // Step 2: Inject content script dynamically
+      // Step 2: Inject content script dynamically into every frame, since embedded players usually
+      // sit in cross-origin iframes. Frames added since the last scan get it now; frames that
+      // already have it are left alone by the script's own guard
       chrome.scripting.executeScript({
-        target: { tabId: tabId },
+        target: { tabId: tabId, allFrames: true },
         files: ['content.js']
       })
-      .then(() => {
-        // Step 3: Request DOM extraction from the injected content script
-        chrome.tabs.sendMessage(tabId, { action: 'extract_dom_media' }, (domMedia) => {
-          // If message fails (e.g. content script didn't load in time), fall back to empty list
-          const domResults = domMedia || [];
-          const networkResults = tabMediaCache.get(tabId) || [];
-          
-          // Step 4: Merge and deduplicate results
-          const combined = mergeAndDeduplicate(domResults, networkResults);
-          
-          // Step 5: Enrich visible results with metadata (sizes)
-          enrichResults(combined).then(enriched => {
+      .then(async (injections) => {
+        // Step 3: Request DOM extraction from the content script in each frame, top frame first
+        await settingsReady;
+        const options = { watch: settings.watchDom, rules: getDetectionRules(settings) };
+        const frameIds = injections.map(injection => injection.frameId).sort((a, b) => a - b);
+        return Promise.all(frameIds.map(frameId => requestFrameMedia(tabId, frameId, options)));
+      })
+      .then(async (frameResults) => {
+        // Copies, so what the scan adds to the results (headers, sizes) stays out of the stores
+        const watchedResults = (await domCaptures.get(tabId)).map(item => ({ ...item }));
+        const networkResults = (await networkCaptures.get(tabId)).map(item => ({ ...item }));
+
+        // Step 4: Merge and deduplicate results (media found while watching may have left the DOM since)
+        // Captures made before an ignore pattern was added are dropped here
+        const combined = mergeAndDeduplicate(...frameResults, watchedResults, networkResults)
+          .filter(item => !isIgnoredUrl(item.url, detection));
+
+        // Step 5: Replay the page's request headers so enrichment and downloads aren't refused
+        const recordedHeaders = await tabRequestHeaders.get(tabId);
+        const hostHeaders = new Map(recordedHeaders.map(({ host, headers }) => [host, headers]));
+        combined.forEach(item => {
+          const headers = hostHeaders.get(getHost(item.url));
+          if (headers) item.requestHeaders = headers;
+          // Source buffers are saved by the page itself, and downloads keep the tab's header
+          // rules installed while they run, so the views need to know which tab
+          item.tabId = tabId;
+        });
+
+        // Step 6: Enrich visible results with metadata (sizes)
+        applyReplayHeaders(tabId, hostHeaders)
+          .catch(e => console.warn('Could not replay request headers:', e))
+          .then(() => enrichResults(combined))
+          .then(enriched => {
             sendResponse({ results: enriched });
           });
-        });
       })
       .catch(err => {
         console.error('Execution failed: ', err);
@@ -123,12 +337,119 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     return true; // Keep message channel open for async response
   }
+
+  // Media the content script found while watching the page after a scan
+  if (message.action === 'dom_media_detected') {
+    if (sender.tab && Array.isArray(message.items)) {
+      recordDomMedia(sender.tab.id, sender.frameId, message.items);
+    }
+    return;
+  }
+
+  // Download manager requests from the views are relayed to the offscreen document
+  if (DOWNLOAD_ACTIONS.includes(message.action) && message.target !== 'offscreen') {
+    relayToDownloadManager(message)
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  // The offscreen document can't use chrome.downloads, so files are saved from here
+  if (message.action === 'save_file') {
+    settingsReady
+      .then(() => (message.wait
+        ? downloadAndWait(message.url, message.filename, settings.filenameConflictAction)
+        : chrome.downloads.download({
+          url: message.url,
+          filename: message.filename,
+          conflictAction: settings.filenameConflictAction
+        })))
+      .then(downloadId => sendResponse({ downloadId }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  // A queued job needs its tab's header rules until it ends, even if the tab closes first
+  if (message.action === 'download_progress' && message.job?.tabId != null) {
+    const { job } = message;
+    if (job.status === 'queued') {
+      holdReplayHeaders(job.tabId, job.id).catch(() => {});
+    } else if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      releaseReplayHeaders(job.id).catch(() => {});
+    }
+  }
+
+  if (message.action === 'downloads_idle') {
+    closeIdleDownloadManager();
+  }
 });
 
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+  });
+  return contexts.length > 0;
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['BLOBS'],
+      justification: 'Downloads and joins stream segments in the background'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+async function relayToDownloadManager(message) {
+  if (message.action !== 'download_start' && !(await hasOffscreenDocument())) {
+    // No manager means nothing is downloading
+    return message.action === 'download_list' ? { jobs: [] } : {};
+  }
+  await ensureOffscreenDocument();
+  return chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+}
+
+async function closeIdleDownloadManager() {
+  try {
+    // Re-check in case a download was started since the manager reported idle
+    const { jobs } = await relayToDownloadManager({ action: 'download_list' });
+    const busy = jobs.some(job => job.status === 'queued' || job.status === 'downloading');
+    if (!busy) await chrome.offscreen.closeDocument();
+  } catch (e) {
+    // Already closed
+  }
+}
+
+// Resolves to the media found in one frame, tagged with its frameId. A frame that doesn't
+// answer (e.g. it navigated away mid-scan) contributes nothing rather than failing the scan.
+// options: { watch, rules } where rules are the detection rules (getDetectionRules) to apply.
+// With watch set the frame keeps reporting media added afterwards (dom_media_detected)
+function requestFrameMedia(tabId, frameId, { watch, rules }) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, { action: 'extract_dom_media', watch, rules }, { frameId }, (media) => {
+      if (chrome.runtime.lastError || !Array.isArray(media)) {
+        resolve([]);
+        return;
+      }
+      media.forEach(item => { item.frameId = frameId; });
+      resolve(media);
+    });
+  });
+}
+
 async function enrichResults(results) {
+  // Subtitle tracks found inside manifests are listed as results of their own
+  const subtitleTracks = [];
+
   const enrichmentPromises = results.map(async (item) => {
-    // 1. Handle regular media sizes
-    if (item.type === 'video' || item.type === 'audio') {
+    // 1. Handle regular media sizes (unless the captured response already reported one)
+    if ((item.type === 'video' || item.type === 'audio') && !item.size) {
       try {
         const size = await fetchFileSize(item.url);
         if (size) item.size = size;
@@ -136,27 +457,52 @@ async function enrichResults(results) {
     }
 
     // 2. Handle HLS Streaming analysis
-    if (item.type === 'streaming' && item.url.includes('.m3u8')) {
+    if (getStreamFormat(item) === 'hls') {
       try {
-        const content = await fetchHlsContent(item.url);
+        const content = await fetchManifestText(item.url);
         if (content) {
           const hlsType = getHlsType(content);
           if (hlsType) {
             item.hlsType = hlsType; // 'master' or 'media'
             
             // 3. Duration Detection (New)
-            let duration = 0;
-            if (hlsType === 'media') {
-              duration = calculateHlsDuration(content);
-            } else if (hlsType === 'master') {
-              // For master, we need to fetch the first stream's playlist to get duration
-              const mediaUrl = resolveFirstStreamUrl(item.url, content);
-              if (mediaUrl) {
-                const mediaContent = await fetchHlsContent(mediaUrl);
-                if (mediaContent) duration = calculateHlsDuration(mediaContent);
+            let mediaContent = hlsType === 'media' ? content : null;
+            if (hlsType === 'master') {
+              // Expose every variant so the UI can offer a rendition picker
+              const { variants, media } = parseMasterPlaylist(content, item.url);
+              if (variants.length > 0) item.variants = variants;
+
+              // Alternate audio tracks (#EXT-X-MEDIA) the user can choose between
+              const audioRenditions = media.filter(rendition => rendition.type === 'AUDIO' && rendition.uri);
+              if (audioRenditions.length > 0) item.audioRenditions = audioRenditions;
+
+              media
+                .filter(rendition => rendition.type === 'SUBTITLES' && rendition.uri)
+                .forEach(rendition => subtitleTracks.push({
+                  url: rendition.uri,
+                  type: 'subtitle',
+                  source: 'manifest',
+                  manifestUrl: item.url,
+                  subtitleFormat: 'hls',
+                  label: rendition.name,
+                  language: rendition.language,
+                  timestamp: Date.now()
+                }));
+
+              // All variants share a timeline, so any media playlist gives the duration
+              const mediaUrl = variants[0]?.uri;
+              if (mediaUrl) mediaContent = await fetchManifestText(mediaUrl);
+            }
+
+            if (mediaContent) {
+              // Without an end tag the playlist is a live sliding window; its length isn't the stream's
+              if (!mediaContent.includes('#EXT-X-ENDLIST')) {
+                item.isLive = true;
+              } else {
+                const duration = calculateHlsDuration(mediaContent);
+                if (duration > 0) item.duration = duration;
               }
             }
-            if (duration > 0) item.duration = duration;
 
             // 4. Heuristic: If it's a media playlist, suggest a master URL
             if (hlsType === 'media') {
@@ -171,10 +517,55 @@ async function enrichResults(results) {
         console.error('HLS Enrich Error:', e);
       }
     }
+
+    // 5. Handle DASH manifest analysis
+    if (getStreamFormat(item) === 'dash') {
+      try {
+        const content = await fetchManifestText(item.url);
+        if (content) {
+          const manifest = parseMpd(content, item.url);
+          item.dashType = manifest.isLive ? 'live' : 'vod';
+          if (manifest.duration > 0) item.duration = manifest.duration;
+          // Segment lists can be huge, only the representation metadata is sent to the UI
+          item.representations = manifest.representations.map(summarizeRepresentation);
+
+          manifest.representations
+            .filter(rep => rep.kind === 'text' && /vtt/.test(rep.mimeType))
+            .forEach(rep => subtitleTracks.push(getDashSubtitleTrack(item.url, rep)));
+        }
+      } catch (e) {
+        console.error('DASH Enrich Error:', e);
+      }
+    }
     return item;
   });
 
-  return Promise.all(enrichmentPromises);
+  const enriched = await Promise.all(enrichmentPromises);
+  return mergeAndDeduplicate(enriched, subtitleTracks);
+}
+
+// A text representation served as one plain file is downloaded directly; segmented ones are
+// joined by the subtitle downloader and get a per-representation URL to tell them apart
+function getDashSubtitleTrack(manifestUrl, rep) {
+  const track = {
+    type: 'subtitle',
+    source: 'manifest',
+    manifestUrl,
+    label: rep.lang || rep.id,
+    language: rep.lang,
+    timestamp: Date.now()
+  };
+
+  const [first] = rep.segments;
+  if (rep.segments.length === 1 && !rep.initSegment && !first.range) {
+    return { ...track, url: first.url };
+  }
+  return {
+    ...track,
+    url: `${manifestUrl}#subtitles=${encodeURIComponent(rep.id)}`,
+    subtitleFormat: 'dash',
+    representationId: rep.id
+  };
 }
 
 function calculateHlsDuration(manifestContent) {
@@ -191,38 +582,10 @@ function calculateHlsDuration(manifestContent) {
   return totalSeconds;
 }
 
-function resolveFirstStreamUrl(masterUrl, masterContent) {
-  const lines = masterContent.split('\n');
-  let streamPath = null;
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].startsWith('#EXT-X-STREAM-INF')) {
-      // The next non-comment line is usually the URL
-      for (let j = i + 1; j < lines.length; j++) {
-        if (lines[j].trim() && !lines[j].startsWith('#')) {
-          streamPath = lines[j].trim();
-          break;
-        }
-      }
-      if (streamPath) break;
-    }
-  }
-
-  if (streamPath) {
-    try {
-      return new URL(streamPath, masterUrl).href;
-    } catch (e) {}
-  }
-  return null;
-}
-
-async function fetchHlsContent(url) {
+async function fetchManifestText(url) {
   try {
     const response = await fetch(url);
-    if (response.ok) {
-      // We only need the first 1KB to identify the type
-      const text = await response.text();
-      return text.substring(0, 1024);
-    }
+    if (response.ok) return await response.text();
   } catch (e) {}
   return null;
 }
@@ -235,8 +598,9 @@ function suggestMasterUrl(mediaUrl) {
     parts.pop();
     const baseDir = parts.join('/');
     
-    // Common master playlist filenames
-    const candidates = ['master.m3u8', 'playlist.m3u8', 'index.m3u8', 'manifest.m3u8'];
+    // Common master playlist filenames (configurable, most likely first)
+    const candidates = settings.masterPlaylistNames;
+    if (candidates.length === 0) return null;
     // We'll just return the first one as a suggestion
     // In a real scenario, we might want to HEAD check these, but for now, we suggest the most likely one
     return `${url.origin}${baseDir}/${candidates[0]}`;
@@ -247,7 +611,7 @@ function suggestMasterUrl(mediaUrl) {
 async function fetchFileSize(url) {
   try {
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 2000); // 2s timeout
+    const timeout = setTimeout(() => controller.abort(), settings.sizeRequestTimeout);
     
     const response = await fetch(url, { 
       method: 'HEAD',
@@ -266,21 +630,28 @@ async function fetchFileSize(url) {
   return null;
 }
 
-function mergeAndDeduplicate(dom, network) {
-  const seenUrls = new Set();
+// Lists are merged in order, so when several report the same URL the first one's entry wins
+function mergeAndDeduplicate(...lists) {
+  const seenUrls = new Map();
   const merged = [];
 
   // Helper to add unique items
   const addIfUnique = (item) => {
-    if (!seenUrls.has(item.url)) {
-      seenUrls.add(item.url);
+    const existing = seenUrls.get(item.url);
+    if (!existing) {
+      seenUrls.set(item.url, item);
       merged.push(item);
+      return;
     }
+    // Keep what the captured response (or another frame) told us about a URL already listed
+    if (!existing.size && item.size) existing.size = item.size;
+    if (!existing.contentType && item.contentType) existing.contentType = item.contentType;
+    if (!existing.title && item.title) existing.title = item.title;
+    if (!existing.thumbnail && item.thumbnail) existing.thumbnail = item.thumbnail;
   };
 
-  // Add DOM results first, then network (DOM might provide better metadata if we add it later)
-  dom.forEach(addIfUnique);
-  network.forEach(addIfUnique);
+  // Scans pass each frame's DOM results first, then network (DOM provides better metadata)
+  lists.forEach(list => list.forEach(addIfUnique));
 
   return merged;
 }
@@ -1,8 +1,13 @@
 /**
  * MediaVue Content Script
  * Responsibilities:
- * - Extract media URLs from DOM elements (<video>, <audio>, <source>, <track>, <a>)
+ * - Extract media URLs from DOM elements (<video>, <audio>, <source>, <track>, <a>),
+ *   including those inside open shadow roots; injected into every frame of the tab
+ * - Read lazy-load attributes, Open Graph / Twitter meta tags and JSON-LD VideoObjects,
+ *   keeping the title and thumbnail they provide
  * - Convert relative URLs to absolute URLs
+ * - Optionally keep watching the page and report media added after the scan
+ * - Relay requests to the MSE hook (mse-hook.js) when MSE capture is enabled
  */
 
 // Use an IIFE and a global flag to prevent multiple listener registrations
@@ -12,48 +17,114 @@
   }
   window.mediaVueInjected = true;
 
-  const MEDIA_PATTERNS = {
-    VIDEO: /\.(mp4|webm|ogv|mov|avi|mkv|flv|m4v)($|\?)/i,
-    AUDIO: /\.(mp3|wav|m4a|aac|ogg|opus|flac|wma)($|\?)/i,
-    STREAMING: /\.(m3u8|mpd)($|\?)/i,
-    SUBTITLES: /\.(vtt|srt|ass|ssa)($|\?)/i
-  };
+  // Detection rules from the user's settings (extensions, MIME types, ignore patterns), sent by
+  // the background script with every scan; see getDetectionRules() in utils/media-detector.js
+  let detection = null;
+
+  function setDetectionRules(rules) {
+    const patterns = {};
+    Object.entries(rules.patterns).forEach(([type, source]) => {
+      patterns[type] = new RegExp(source, 'i');
+    });
+    const extensions = rules.extensions.filter(extension => /^[a-z0-9]+$/i.test(extension));
+    detection = {
+      patterns,
+      mimeTypes: rules.mimeTypes,
+      ignore: rules.ignore.map(source => new RegExp(source, 'i')),
+      // Absolute media URLs inside script text
+      scriptUrls: new RegExp(`(?:https?:\\/\\/|www\\.)[^\\s"']+\\.(?:${extensions.join('|') || '(?!)'})(?:\\?[\\w=&.]+)?`, 'gi')
+    };
+  }
 
   function getMediaType(url) {
-    if (MEDIA_PATTERNS.VIDEO.test(url)) return 'video';
-    if (MEDIA_PATTERNS.AUDIO.test(url)) return 'audio';
-    if (MEDIA_PATTERNS.STREAMING.test(url)) return 'streaming';
-    if (MEDIA_PATTERNS.SUBTITLES.test(url)) return 'subtitle';
+    if (detection.patterns.video.test(url)) return 'video';
+    if (detection.patterns.audio.test(url)) return 'audio';
+    if (detection.patterns.streaming.test(url)) return 'streaming';
+    if (detection.patterns.subtitle.test(url)) return 'subtitle';
+    return null;
+  }
+
+  function isIgnored(url) {
+    return detection.ignore.some(pattern => pattern.test(url));
+  }
+
+  // Maps a declared MIME type (og:video:type, <source type>, encodingFormat) to a result type
+  function getMediaTypeFromMime(mimeType) {
+    const type = (mimeType || '').toLowerCase();
+    if (detection.mimeTypes[type]) return detection.mimeTypes[type];
+    if (/mpegurl|dash\+xml/.test(type)) return 'streaming';
+    if (type.startsWith('video/')) return 'video';
+    if (type.startsWith('audio/')) return 'audio';
+    if (type === 'text/vtt') return 'subtitle';
     return null;
   }
 
+  // Lazy-loading players keep the real URL in data attributes until playback starts
+  const LAZY_ATTRIBUTES = {
+    'data-src': null,
+    'data-video': 'video',
+    'data-video-src': 'video',
+    'data-mp4': 'video',
+    'data-audio': 'audio',
+    'data-hls': 'streaming',
+    'data-dash': 'streaming',
+    'data-stream': 'streaming'
+  };
+
+  // Every open shadow root in the document, nested ones included (closed roots can't be reached)
+  function getShadowRoots(root, roots = []) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.shadowRoot) {
+        roots.push(node.shadowRoot);
+        getShadowRoots(node.shadowRoot, roots);
+      }
+    }
+    return roots;
+  }
+
+  // querySelectorAll across the document and its shadow roots
+  function querySelectorAllDeep(selector, roots) {
+    return roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+  }
+
   function extractMediaFromDOM() {
     const results = [];
-    const seenUrls = new Set();
+    const seenUrls = new Map();
+    const roots = [document, ...getShadowRoots(document)];
 
-    const addUniqueMedia = (url, type, element) => {
+    // details: optional { title, thumbnail } describing the media
+    const addUniqueMedia = (url, type, element, details = {}) => {
       if (!url || typeof url !== 'string' || url.startsWith('javascript:') || url.startsWith('data:') || url.startsWith('blob:')) {
         return;
       }
 
       try {
         const absoluteUrl = new URL(url, document.baseURI).href;
+        if (isIgnored(absoluteUrl)) return;
         
-        // Skip if already seen to prevent duplicates within the DOM scan
-        if (seenUrls.has(absoluteUrl)) {
+        // Skip if already seen to prevent duplicates within the DOM scan, keeping any new metadata
+        const existing = seenUrls.get(absoluteUrl);
+        if (existing) {
+          if (!existing.title && details.title) existing.title = details.title;
+          if (!existing.thumbnail && details.thumbnail) existing.thumbnail = resolveUrl(details.thumbnail);
           return;
         }
 
         const detectedType = type || getMediaType(absoluteUrl);
         
         if (detectedType) {
-          seenUrls.add(absoluteUrl);
-          results.push({
+          const result = {
             url: absoluteUrl,
             type: detectedType,
             source: 'dom',
-            tagName: element ? element.tagName.toLowerCase() : 'heuristic'
-          });
+            tagName: element ? element.tagName.toLowerCase() : 'heuristic',
+            frameUrl: location.href
+          };
+          if (details.title) result.title = details.title;
+          if (details.thumbnail) result.thumbnail = resolveUrl(details.thumbnail);
+          seenUrls.set(absoluteUrl, result);
+          results.push(result);
         }
       } catch (e) {
         // Invalid URL, ignore
@@ -61,17 +132,28 @@
     };
 
     // 1. Extract from <video> and <audio> elements
-    document.querySelectorAll('video, audio').forEach(mediaEl => {
+    querySelectorAllDeep('video, audio', roots).forEach(mediaEl => {
+      // The poster becomes the thumbnail of everything the element plays
+      const details = {
+        title: mediaEl.getAttribute('title') || mediaEl.getAttribute('aria-label') || undefined,
+        thumbnail: mediaEl.getAttribute('poster') || undefined
+      };
+
       // Direct src attribute
       if (mediaEl.src) {
-        addUniqueMedia(mediaEl.src, mediaEl.tagName.toLowerCase(), mediaEl);
+        addUniqueMedia(mediaEl.src, mediaEl.tagName.toLowerCase(), mediaEl, details);
       }
       
       // <source> tags
       mediaEl.querySelectorAll('source').forEach(source => {
         if (source.src) {
-          addUniqueMedia(source.src, mediaEl.tagName.toLowerCase(), source);
+          addUniqueMedia(source.src, mediaEl.tagName.toLowerCase(), source, details);
         }
+        // srcset lists candidate URLs, each optionally followed by a descriptor
+        (source.getAttribute('srcset') || '').split(',').forEach(candidate => {
+          const url = candidate.trim().split(/\s+/)[0];
+          if (url) addUniqueMedia(url, getMediaTypeFromMime(source.type) || mediaEl.tagName.toLowerCase(), source, details);
+        });
       });
 
       // <track> tags for subtitles
@@ -83,13 +165,69 @@
     });
 
     // 2. Extract from <a> tags (links to media files)
-    document.querySelectorAll('a[href]').forEach(link => {
+    querySelectorAllDeep('a[href]', roots).forEach(link => {
       addUniqueMedia(link.href, null, link);
     });
 
-    // 3. Heuristic: Scan script tags and serialized JSON data
+    // 3. Lazy-load attributes. data-src is common on images too, so it needs a media URL or a media element
+    const lazySelector = Object.keys(LAZY_ATTRIBUTES).map(attribute => `[${attribute}]`).join(', ');
+    querySelectorAllDeep(lazySelector, roots).forEach(element => {
+      const mediaEl = element.closest('video, audio');
+      const elementType = mediaEl ? mediaEl.tagName.toLowerCase() : null;
+      const details = { thumbnail: element.getAttribute('poster') || element.getAttribute('data-poster') || undefined };
+
+      Object.entries(LAZY_ATTRIBUTES).forEach(([attribute, attributeType]) => {
+        const url = element.getAttribute(attribute);
+        // Players also use these attributes for video IDs and flags
+        if (!url || !/^(https?:)?\/\/|^\/|\.\w{2,4}($|\?)/.test(url)) return;
+        const type = getMediaType(url) === 'streaming' ? 'streaming' : attributeType || elementType;
+        addUniqueMedia(url, type, element, details);
+      });
+    });
+
+    // 4. Open Graph / Twitter Card meta tags describing the page's main media
+    const pageDetails = {
+      title: getMetaContent('og:title') || getMetaContent('twitter:title') || undefined,
+      thumbnail: getMetaContent('og:image') || getMetaContent('twitter:image') || undefined
+    };
+    ['og:video', 'og:video:url', 'og:video:secure_url', 'og:audio', 'og:audio:url', 'og:audio:secure_url'].forEach(property => {
+      const url = getMetaContent(property);
+      if (!url) return;
+      const declaredType = getMetaContent(`${property.startsWith('og:audio') ? 'og:audio' : 'og:video'}:type`);
+      // og:video often points at an HTML player page rather than the media itself
+      if (/html/i.test(declaredType)) return;
+      const fallbackType = property.startsWith('og:audio') ? 'audio' : 'video';
+      addUniqueMedia(url, getMediaTypeFromMime(declaredType) || getMediaType(url) || fallbackType, { tagName: 'meta' }, pageDetails);
+    });
+    const twitterStream = getMetaContent('twitter:player:stream');
+    if (twitterStream) {
+      const declaredType = getMetaContent('twitter:player:stream:content_type');
+      addUniqueMedia(twitterStream, getMediaTypeFromMime(declaredType) || getMediaType(twitterStream) || 'video', { tagName: 'meta' }, pageDetails);
+    }
+
+    // 5. JSON-LD structured data (schema.org VideoObject / AudioObject)
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        findMediaObjects(JSON.parse(script.textContent)).forEach(object => {
+          const fallbackType = hasSchemaType(object, 'AudioObject') ? 'audio' : 'video';
+          const details = { title: getText(object.name), thumbnail: getImageUrl(object.thumbnailUrl || object.thumbnail) };
+          const contentUrl = getText(object.contentUrl);
+          if (contentUrl) {
+            const type = getMediaTypeFromMime(getText(object.encodingFormat)) || getMediaType(contentUrl) || fallbackType;
+            addUniqueMedia(contentUrl, type, { tagName: 'json-ld' }, details);
+          }
+          // embedUrl is the player page; it's kept because it is often the only URL given
+          const embedUrl = getText(object.embedUrl);
+          if (embedUrl) addUniqueMedia(embedUrl, getMediaType(embedUrl) || fallbackType, { tagName: 'json-ld' }, details);
+        });
+      } catch (e) {
+        // Silently skip invalid JSON
+      }
+    });
+
+    // 6. Heuristic: Scan script tags and serialized JSON data
     try {
-      const urlRegex = /(?:https?:\/\/|www\.)[^\s"']+\.(?:mp4|webm|m3u8|mpd|mp3|wav|m4a|vtt|srt)(?:\?[\w=&.]+)?/gi;
+      const urlRegex = detection.scriptUrls;
       
       // Process script tags
       document.querySelectorAll('script').forEach(script => {
@@ -130,14 +268,175 @@
     return results;
   }
 
+  function resolveUrl(url) {
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  function getMetaContent(property) {
+    const meta = document.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+    return meta ? meta.getAttribute('content') : null;
+  }
+
+  // VideoObject / AudioObject nodes anywhere in a JSON-LD document (including @graph and nested values)
+  function findMediaObjects(data, found = [], depth = 0) {
+    if (depth > 10 || !data || typeof data !== 'object') return found;
+    if (Array.isArray(data)) {
+      data.forEach(value => findMediaObjects(value, found, depth + 1));
+      return found;
+    }
+    if (hasSchemaType(data, 'VideoObject') || hasSchemaType(data, 'AudioObject')) found.push(data);
+    Object.values(data).forEach(value => findMediaObjects(value, found, depth + 1));
+    return found;
+  }
+
+  function hasSchemaType(object, type) {
+    const types = Array.isArray(object['@type']) ? object['@type'] : [object['@type']];
+    return types.some(value => typeof value === 'string' && value.replace(/^https?:\/\/schema\.org\//, '') === type);
+  }
+
+  // schema.org values may be a string, an array of them, or an object carrying a url
+  function getText(value) {
+    if (Array.isArray(value)) return getText(value[0]);
+    if (value && typeof value === 'object') return getText(value.url || value['@id']);
+    return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+  }
+
+  function getImageUrl(value) {
+    return getText(value && typeof value === 'object' && !Array.isArray(value) ? value.contentUrl || value.url : value);
+  }
+
+  // Ask the MSE hook in the page's main world; resolves to null when it isn't installed
+  function askMseHook(message, timeoutMs) {
+    return new Promise(resolve => {
+      const requestId = `${Date.now()}-${Math.random()}`;
+      const timer = setTimeout(() => finish(null), timeoutMs);
+
+      function onMessage(event) {
+        const reply = event.data;
+        if (event.source !== window || !reply || reply.source !== 'mediavue-mse' || reply.requestId !== requestId) return;
+        finish(reply);
+      }
+
+      function finish(reply) {
+        clearTimeout(timer);
+        window.removeEventListener('message', onMessage);
+        resolve(reply);
+      }
+
+      window.addEventListener('message', onMessage);
+      window.postMessage({ source: 'mediavue', requestId, ...message }, '*');
+    });
+  }
+
+  async function extractMediaFromSourceBuffers() {
+    const reply = await askMseHook({ action: 'mse_list' }, 250);
+    if (!reply || !reply.buffers) return [];
+
+    return reply.buffers.map(buffer => ({
+      // Source buffers have no fetchable URL; this one only identifies the buffer
+      url: `${buffer.url || location.href}#sourcebuffer-${buffer.id}`,
+      type: buffer.mimeType.startsWith('audio/') ? 'audio' : 'video',
+      source: 'mse',
+      tagName: 'mse',
+      mimeType: buffer.mimeType,
+      size: buffer.bytes,
+      bufferId: buffer.id,
+      frameUrl: location.href,
+      truncated: buffer.truncated
+    }));
+  }
+
+  // DOM watching: media added by SPA navigation, infinite scroll or a player swapping its src
+  // is reported to the background script as it appears instead of waiting for the next scan
+  const WATCH_DELAY_MS = 1000;
+  const WATCHED_ATTRIBUTES = ['src', 'srcset', 'href', 'poster', ...Object.keys(LAZY_ATTRIBUTES)];
+  let observer = null;
+  let watchTimer = null;
+  let reportedUrls = new Set();
+  let observedRoots = new WeakSet();
+  let watchedMediaElements = new WeakSet();
+
+  function startWatching(knownMedia) {
+    knownMedia.forEach(item => reportedUrls.add(item.url));
+    if (!observer) observer = new MutationObserver(scheduleWatchScan);
+    watchNewNodes();
+  }
+
+  function stopWatching() {
+    if (!observer) return;
+    observer.disconnect();
+    observer = null;
+    clearTimeout(watchTimer);
+    watchTimer = null;
+    reportedUrls = new Set();
+    observedRoots = new WeakSet();
+    watchedMediaElements = new WeakSet();
+  }
+
+  // Shadow roots need observers of their own, and new media elements need their listeners
+  function watchNewNodes() {
+    const roots = [document, ...getShadowRoots(document)];
+    roots.forEach(root => {
+      if (observedRoots.has(root)) return;
+      observedRoots.add(root);
+      observer.observe(root, { childList: true, subtree: true, attributes: true, attributeFilter: WATCHED_ATTRIBUTES });
+    });
+
+    querySelectorAllDeep('video, audio', roots).forEach(mediaEl => {
+      if (watchedMediaElements.has(mediaEl)) return;
+      watchedMediaElements.add(mediaEl);
+      // Players switching source (next episode, quality change) fire these without touching the DOM
+      mediaEl.addEventListener('loadstart', scheduleWatchScan);
+      mediaEl.addEventListener('emptied', scheduleWatchScan);
+    });
+  }
+
+  // At most one rescan per WATCH_DELAY_MS, so pages that mutate constantly are still reported
+  function scheduleWatchScan() {
+    if (!observer || watchTimer) return;
+    watchTimer = setTimeout(() => {
+      watchTimer = null;
+      reportNewMedia();
+    }, WATCH_DELAY_MS);
+  }
+
+  function reportNewMedia() {
+    if (!observer) return;
+    watchNewNodes();
+
+    const newMedia = extractMediaFromDOM().filter(item => !reportedUrls.has(item.url));
+    if (newMedia.length === 0) return;
+    newMedia.forEach(item => reportedUrls.add(item.url));
+
+    chrome.runtime.sendMessage({ action: 'dom_media_detected', items: newMedia }).catch(() => {
+      // The extension was reloaded or updated, leaving this copy of the script orphaned
+      stopWatching();
+    });
+  }
+
   // Listen for messages from the background script
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'extract_dom_media') {
+      setDetectionRules(request.rules);
       const media = extractMediaFromDOM();
-      sendResponse(media);
+      if (request.watch) {
+        startWatching(media);
+      } else {
+        stopWatching();
+      }
+      extractMediaFromSourceBuffers().then(buffers => sendResponse(media.concat(buffers)));
+      return true;
+    }
+
+    if (request.action === 'save_mse_buffer') {
+      askMseHook({ action: 'mse_save', bufferId: request.bufferId, filename: request.filename }, 5000)
+        .then(reply => sendResponse(reply || { error: 'MSE capture is not active on this page, reload it and try again' }));
+      return true;
     }
-    // Return true if we were to send an async response, 
-    // but here we send it immediately
   });
 
   // Silent injection for production
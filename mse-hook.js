@@ -0,0 +1,121 @@
+/**
+ * MediaVue MSE Hook
+ * Runs in the page's main world (only when MSE capture is enabled) so it can see what the
+ * page's player feeds to Media Source Extensions. Every SourceBuffer's MIME type and appended
+ * bytes are kept, so buffered audio/video that never existed as a file URL can be saved.
+ * The content script talks to it through window messages.
+ */
+
+(function() {
+  if (window.mediaVueMseHook || !window.MediaSource) {
+    return;
+  }
+  window.mediaVueMseHook = true;
+
+  // Appends beyond this many bytes per SourceBuffer are not kept
+  const MAX_BUFFER_BYTES = 1024 * 1024 * 1024; // 1 GB
+
+  const buffers = [];
+  const bufferRecords = new WeakMap(); // SourceBuffer -> record
+  const sourceUrls = new WeakMap(); // MediaSource -> blob: URL given to the <video>
+
+  const originalCreateObjectURL = URL.createObjectURL;
+  URL.createObjectURL = function(object) {
+    const url = originalCreateObjectURL.apply(this, arguments);
+    if (object instanceof MediaSource) sourceUrls.set(object, url);
+    return url;
+  };
+
+  const originalAddSourceBuffer = MediaSource.prototype.addSourceBuffer;
+  MediaSource.prototype.addSourceBuffer = function(mimeType) {
+    const sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+    const record = {
+      id: buffers.length + 1,
+      mimeType: String(mimeType),
+      mediaSource: this,
+      chunks: [],
+      bytes: 0,
+      truncated: false
+    };
+    buffers.push(record);
+    bufferRecords.set(sourceBuffer, record);
+    return sourceBuffer;
+  };
+
+  const originalAppendBuffer = SourceBuffer.prototype.appendBuffer;
+  SourceBuffer.prototype.appendBuffer = function(data) {
+    const record = bufferRecords.get(this);
+    if (record) capture(record, data);
+    return originalAppendBuffer.apply(this, arguments);
+  };
+
+  function capture(record, data) {
+    try {
+      const view = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      if (record.bytes + view.byteLength > MAX_BUFFER_BYTES) {
+        record.truncated = true;
+        return;
+      }
+      // The player may reuse its buffer, so the bytes are copied
+      record.chunks.push(view.slice());
+      record.bytes += view.byteLength;
+    } catch (e) {
+      // Never break the page's playback
+    }
+  }
+
+  function describe(record) {
+    return {
+      id: record.id,
+      mimeType: record.mimeType,
+      bytes: record.bytes,
+      truncated: record.truncated,
+      url: sourceUrls.get(record.mediaSource) || null
+    };
+  }
+
+  // The appended init segment plus media segments form a playable fragmented MP4 / WebM file
+  function save(record, filename) {
+    const type = record.mimeType.split(';')[0].trim();
+    const blob = new Blob(record.chunks, { type });
+    const url = originalCreateObjectURL.call(URL, blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename + getExtension(type);
+    link.style.display = 'none';
+    document.documentElement.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  function getExtension(type) {
+    if (type === 'audio/mp4') return '.m4a';
+    if (type.endsWith('/webm')) return '.webm';
+    if (type === 'audio/mpeg') return '.mp3';
+    if (type === 'audio/aac') return '.aac';
+    if (type === 'video/mp2t') return '.ts';
+    return '.mp4';
+  }
+
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (event.source !== window || !message || message.source !== 'mediavue') return;
+
+    const reply = (data) => window.postMessage({ source: 'mediavue-mse', requestId: message.requestId, ...data }, '*');
+
+    if (message.action === 'mse_list') {
+      reply({ buffers: buffers.filter(record => record.bytes > 0).map(describe) });
+    } else if (message.action === 'mse_save') {
+      const record = buffers.find(b => b.id === message.bufferId);
+      if (!record || record.bytes === 0) {
+        reply({ error: 'Nothing has been buffered for this stream' });
+        return;
+      }
+      save(record, message.filename || 'mse-stream');
+      reply({ ok: true });
+    }
+  });
+})();
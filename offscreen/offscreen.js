@@ -0,0 +1,42 @@
+/**
+ * MediaVue Offscreen Document
+ * Hosts the download manager so stream downloads keep running after the popup
+ * or side panel closes. Only answers messages that background.js addresses to it.
+ */
+
+import { DownloadManager } from '../utils/download-manager.js';
+
+// How long a finished manager lingers so views can still show the outcome
+const IDLE_TIMEOUT = 60 * 1000;
+
+let idleTimer = null;
+
+const manager = new DownloadManager((job) => {
+  chrome.runtime.sendMessage({ action: 'download_progress', job }).catch(() => {
+    // No view is listening
+  });
+  scheduleIdleCheck();
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return;
+
+  if (message.action === 'download_start') {
+    sendResponse({ job: manager.start(message.download) });
+  } else if (message.action === 'download_cancel') {
+    sendResponse({ cancelled: manager.cancel(message.id) });
+  } else if (message.action === 'download_stop') {
+    sendResponse({ stopped: manager.stop(message.id) });
+  } else if (message.action === 'download_list') {
+    sendResponse({ jobs: manager.list() });
+  }
+});
+
+// Lets background.js close this document once every job has finished
+function scheduleIdleCheck() {
+  clearTimeout(idleTimer);
+  if (!manager.isIdle) return;
+  idleTimer = setTimeout(() => {
+    if (manager.isIdle) chrome.runtime.sendMessage({ action: 'downloads_idle' });
+  }, IDLE_TIMEOUT);
+}
@@ -0,0 +1,188 @@
+/**
+ * MediaVue Options Page
+ * Responsibilities:
+ * - Edit every setting in utils/settings.js, including the detection rules and limits
+ * - Validate input before it is saved to chrome.storage.sync
+ */
+
+import { getSettings, saveSettings, DEFAULT_SETTINGS } from '../utils/settings.js';
+import { RENDITION_PREFERENCES } from '../utils/rendition-picker.js';
+import { FILENAME_VARIABLES } from '../utils/filename-template.js';
+import { COMMAND_SHELLS } from '../utils/command-builder.js';
+
+const MEDIA_TYPES = ['video', 'audio', 'streaming', 'subtitle'];
+
+// How each setting is shown in and read back from its form field (the field id is the setting key).
+// read() returns the value to save, or throws an Error describing what's wrong with the input
+const FIELDS = {
+  videoExtensions: extensionList(),
+  audioExtensions: extensionList(),
+  streamingExtensions: extensionList(),
+  subtitleExtensions: extensionList(),
+  customMimeTypes: {
+    show: value => Object.entries(value).map(([mimeType, type]) => `${mimeType} ${type}`).join('\n'),
+    read: text => {
+      const mimeTypes = {};
+      splitLines(text).forEach(line => {
+        const [mimeType, type] = line.split(/\s+/);
+        if (!/^[\w.+-]+\/[\w.+-]+$/.test(mimeType || '') || !MEDIA_TYPES.includes(type)) {
+          throw new Error(`"${line}" should be a MIME type followed by ${MEDIA_TYPES.join(', ')}`);
+        }
+        mimeTypes[mimeType.toLowerCase()] = type;
+      });
+      return mimeTypes;
+    }
+  },
+  ignorePatterns: {
+    show: value => value.join('\n'),
+    read: text => splitLines(text)
+  },
+  captureMse: checkbox(),
+  watchDom: checkbox(),
+  captureLimitPerTab: integer(10, 1000),
+  captureTabLimit: integer(1, 100),
+  // Stored in milliseconds, edited in seconds
+  sizeRequestTimeout: {
+    show: value => String(value / 1000),
+    read: text => {
+      const seconds = Number(text);
+      if (!(seconds >= 0.5 && seconds <= 30)) throw new Error('Enter a timeout between 0.5 and 30 seconds');
+      return Math.round(seconds * 1000);
+    }
+  },
+  masterPlaylistNames: {
+    show: value => value.join(', '),
+    read: text => splitList(text)
+  },
+  defaultRendition: select(),
+  hlsContainer: select(),
+  segmentConcurrency: integer(1, 16),
+  filenameTemplate: {
+    show: value => value,
+    read: text => {
+      const template = text.trim();
+      if (!template) throw new Error('Enter a filename template');
+      const unknown = [...template.matchAll(/\{(\w*)\}/g)].find(([, name]) => !(name in FILENAME_VARIABLES));
+      if (unknown) throw new Error(`${unknown[0]} is not a filename variable`);
+      return template;
+    }
+  },
+  filenameConflictAction: select(),
+  commandShell: select(),
+  // Stored in seconds, edited in minutes
+  recordingLimits: {
+    show: value => value.map(seconds => seconds / 60).join(', '),
+    read: text => {
+      const minutes = splitList(text).map(Number);
+      if (minutes.some(value => !(value > 0 && value <= 24 * 60))) {
+        throw new Error('Enter time limits between 1 minute and 24 hours');
+      }
+      return [...new Set(minutes.map(value => Math.round(value * 60)))].sort((a, b) => a - b);
+    }
+  }
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('optionsForm');
+  const resetBtn = document.getElementById('resetBtn');
+  const optionsStatus = document.getElementById('optionsStatus');
+  const renditionSelect = document.getElementById('defaultRendition');
+  const variableList = document.getElementById('filenameVariables');
+  const shellSelect = document.getElementById('commandShell');
+
+  RENDITION_PREFERENCES.forEach(pref => renditionSelect.add(new Option(pref.label, pref.value)));
+  Object.entries(COMMAND_SHELLS).forEach(([value, label]) => shellSelect.add(new Option(label, value)));
+  Object.entries(FILENAME_VARIABLES).forEach(([name, description]) => {
+    const entry = document.createElement('li');
+    const code = document.createElement('code');
+    code.textContent = `{${name}}`;
+    entry.append(code, ` ${description}`);
+    variableList.appendChild(entry);
+  });
+  fillForm(await getSettings());
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const changes = {};
+    const errors = [];
+
+    Object.entries(FIELDS).forEach(([key, field]) => {
+      const input = document.getElementById(key);
+      input.classList.remove('invalid');
+      try {
+        changes[key] = field.read(input.type === 'checkbox' ? input.checked : input.value);
+      } catch (err) {
+        input.classList.add('invalid');
+        errors.push(err.message);
+      }
+    });
+
+    if (errors.length > 0) {
+      optionsStatus.textContent = errors[0];
+      return;
+    }
+
+    await saveSettings(changes);
+    fillForm(changes);
+    optionsStatus.textContent = 'Saved.';
+  });
+
+  resetBtn.addEventListener('click', async () => {
+    await saveSettings(DEFAULT_SETTINGS);
+    fillForm(DEFAULT_SETTINGS);
+    optionsStatus.textContent = 'Defaults restored.';
+  });
+
+  function fillForm(settings) {
+    Object.entries(FIELDS).forEach(([key, field]) => {
+      const input = document.getElementById(key);
+      input.classList.remove('invalid');
+      if (input.type === 'checkbox') {
+        input.checked = settings[key];
+      } else {
+        input.value = field.show(settings[key]);
+      }
+    });
+  }
+});
+
+function extensionList() {
+  return {
+    show: value => value.join(', '),
+    read: text => {
+      const extensions = splitList(text).map(extension => extension.replace(/^\./, '').toLowerCase());
+      const invalid = extensions.find(extension => !/^[a-z0-9]+$/.test(extension));
+      if (invalid) throw new Error(`"${invalid}" is not a file extension`);
+      return [...new Set(extensions)];
+    }
+  };
+}
+
+function integer(min, max) {
+  return {
+    show: value => String(value),
+    read: text => {
+      const value = Number(text);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Enter a whole number between ${min} and ${max}`);
+      }
+      return value;
+    }
+  };
+}
+
+function checkbox() {
+  return { read: checked => checked };
+}
+
+function select() {
+  return { show: value => value, read: value => value };
+}
+
+function splitList(text) {
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function splitLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
@@ -6,15 +6,36 @@
  * - Provide copy and open actions
  */
 
-import { downloadHlsStream } from '../utils/hls-downloader.js';
-import { isProtectedUrl } from '../utils/media-detector.js';
-
-// Persistent tracking of active HLS downloads
-const activeDownloads = new Map();
+import { isProtectedUrl, getStreamFormat } from '../utils/media-detector.js';
+import { getSettings, saveSettings } from '../utils/settings.js';
+import { getRenditionChoices, getAudioChoices, RENDITION_PREFERENCES } from '../utils/rendition-picker.js';
+import { SUBTITLE_FORMATS } from '../utils/subtitle-converter.js';
+import { COMMAND_TOOLS, getCommandTools, buildCommand, buildMuxCommand } from '../utils/command-builder.js';
+import { getFilenameValues, renderFilename, uniquifyFilename, getResolutionLabel } from '../utils/filename-template.js';
+import { EXPORT_FORMATS, exportResults, getExportFilename } from '../utils/exporters.js';
+import { listJobs } from '../utils/download-store.js';
+import { parseTimecode, formatTimecode } from '../utils/timecode.js';
+import { startDownload, cancelDownload, stopDownload, listDownloads, onDownloadProgress, isActiveDownload } from '../utils/download-client.js';
+
+// Time limits offered when recording a live stream (seconds, 0 = until stopped), from the settings
+function getRecordingLimits(limits) {
+  return [
+    { value: '0', label: 'No time limit' },
+    ...limits.map(seconds => ({ value: String(seconds), label: `Stop after ${formatRecordingLimit(seconds)}` }))
+  ];
+}
+
+function formatRecordingLimit(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60 || minutes % 60 !== 0) return `${minutes} min`;
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
 
 document.addEventListener('DOMContentLoaded', async () => {
   const scanBtn = document.getElementById('scanBtn');
   const copyAllBtn = document.getElementById('copyAllBtn');
+  const exportSelect = document.getElementById('exportSelect');
   const downloadAllBtn = document.getElementById('downloadAllBtn');
   const openSidepanelBtn = document.getElementById('openSidepanelBtn');
   const searchInput = document.getElementById('searchInput');
@@ -22,10 +43,58 @@ document.addEventListener('DOMContentLoaded', async () => {
   const resultsList = document.getElementById('resultsList');
   const status = document.getElementById('status');
   const template = document.getElementById('mediaItemTemplate');
+  const renditionPref = document.getElementById('renditionPref');
+  const captureMsePref = document.getElementById('captureMsePref');
+  const watchDomPref = document.getElementById('watchDomPref');
+  const openOptionsBtn = document.getElementById('openOptionsBtn');
 
   let currentResults = [];
   let activeFilter = 'all';
   let searchTerm = '';
+  let settings = await getSettings();
+  let resumableJobs = await loadResumableJobs();
+
+  // Download state mirrored from the background download manager, keyed by media URL
+  const downloads = new Map();
+  // Elements of the rendered result cards, keyed by media URL
+  const downloadCards = new Map();
+
+  (await listDownloads()).forEach(job => downloads.set(job.url, job));
+  onDownloadProgress(handleDownloadUpdate);
+
+  /**
+   * Default rendition preference for multi-variant streams
+   */
+  RENDITION_PREFERENCES.forEach(pref => renditionPref.add(new Option(pref.label, pref.value)));
+  renditionPref.value = settings.defaultRendition;
+  renditionPref.addEventListener('change', async () => {
+    settings.defaultRendition = renditionPref.value;
+    await saveSettings({ defaultRendition: renditionPref.value });
+    renderResults(getFilteredResults());
+  });
+
+  /**
+   * MSE capture: a page hook records what players append to MediaSource buffers
+   */
+  captureMsePref.checked = settings.captureMse;
+  captureMsePref.addEventListener('change', async () => {
+    settings.captureMse = captureMsePref.checked;
+    await saveSettings({ captureMse: captureMsePref.checked });
+  });
+
+  /**
+   * DOM watching: the scanned page reports media added later (applies from the next scan)
+   */
+  watchDomPref.checked = settings.watchDom;
+  watchDomPref.addEventListener('change', async () => {
+    settings.watchDom = watchDomPref.checked;
+    await saveSettings({ watchDom: watchDomPref.checked });
+  });
+
+  /**
+   * Detection rules, limits and the other settings live on the options page
+   */
+  openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
 
   /**
    * Copy all found URLs to clipboard
@@ -47,6 +116,34 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
+  /**
+   * Export visible items as a file
+   */
+  EXPORT_FORMATS.forEach(format => exportSelect.add(new Option(format.label, format.value)));
+  exportSelect.addEventListener('change', () => {
+    const format = EXPORT_FORMATS.find(f => f.value === exportSelect.value);
+    exportSelect.value = '';
+    const filtered = getFilteredResults();
+    if (!format || filtered.length === 0) return;
+
+    const content = exportResults(filtered, format.value, {
+      pageUrl: window.activeTabUrl,
+      pageTitle: window.activeTabTitle,
+      getFilename: item => getDownloadFilename(item)
+    });
+    // A data: URL outlives the popup, which closes if Chrome asks where to save
+    chrome.downloads.download({
+      url: `data:${format.mimeType};charset=utf-8,${encodeURIComponent(content)}`,
+      filename: getExportFilename(format.value, window.activeTabUrl),
+      conflictAction: 'uniquify'
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Export error:', chrome.runtime.lastError);
+        status.textContent = `Could not export the results: ${chrome.runtime.lastError.message}`;
+      }
+    });
+  });
+
   /**
    * Download all visible items
    */
@@ -54,18 +151,55 @@ document.addEventListener('DOMContentLoaded', async () => {
     const filtered = getFilteredResults();
     if (filtered.length === 0) return;
 
-    if (!confirm(`This will download ${filtered.length} files. Continue?`)) return;
-
-    filtered.forEach((item, index) => {
-      // Small delay between downloads to prevent browser issues
-      setTimeout(() => {
-        const filename = getSuggestedFilename(item.url);
-        chrome.downloads.download({
-          url: item.url,
-          filename: filename,
-          conflictAction: 'uniquify'
-        });
-      }, index * 200);
+    // Live streams are recorded (saving the playlist would only get its current window) for the
+    // limit picked on the item, or the shortest configured one; with neither they'd never end
+    const shortestLimit = settings.recordingLimits.length > 0 ? Math.min(...settings.recordingLimits) : 0;
+    const getLiveLimit = item => Number(item.selectedLimit) || shortestLimit;
+    const skipped = filtered.filter(item => item.isLive && !getLiveLimit(item));
+    const batch = filtered.filter(item => !skipped.includes(item));
+    const liveCount = batch.filter(item => item.isLive).length;
+
+    const notes = [];
+    if (liveCount > 0) {
+      notes.push(shortestLimit
+        ? `Live streams are recorded for ${formatRecordingLimit(shortestLimit)} unless another time limit was picked for them.`
+        : 'Live streams are recorded for the time limit picked for them.');
+    }
+    if (skipped.length > 0) {
+      notes.push(`${skipped.length} live stream${skipped.length === 1 ? ' is' : 's are'} skipped: pick a time limit for them or add one in Options.`);
+    }
+    if (batch.length === 0) {
+      status.textContent = notes.join(' ');
+      return;
+    }
+    if (!confirm([`This will download ${batch.length} files.`, ...notes, 'Continue?'].join('\n\n'))) return;
+
+    // The download manager queues streams so only a few run at once
+    const batchNames = new Set();
+    batch.forEach(item => {
+      if (getStreamFormat(item) === 'hls') {
+        requestDownload(item, 'hls', {
+          variantUri: item.selectedRendition,
+          audioName: item.selectedAudio,
+          preference: settings.defaultRendition,
+          container: item.selectedContainer || settings.hlsContainer,
+          concurrency: settings.segmentConcurrency,
+          record: Boolean(item.isLive),
+          maxDuration: item.isLive ? getLiveLimit(item) : 0
+        }, batchNames);
+      } else if (getStreamFormat(item) === 'dash') {
+        requestDownload(item, 'dash', { videoId: item.selectedRendition }, batchNames);
+      } else if (item.source === 'mse') {
+        saveMseBuffer(item, batchNames);
+      } else if (item.subtitleFormat || item.selectedSubtitleFormat) {
+        requestDownload(item, 'subtitle', {
+          source: item.subtitleFormat || 'file',
+          representationId: item.representationId,
+          outputFormat: item.selectedSubtitleFormat || undefined
+        }, batchNames);
+      } else {
+        requestDownload(item, 'file', {}, batchNames);
+      }
     });
 
     const originalText = downloadAllBtn.textContent;
@@ -109,6 +243,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       const matchesType = activeFilter === 'all' || item.type === activeFilter;
       const matchesSearch = !searchTerm || 
         item.url.toLowerCase().includes(searchTerm) || 
+        (item.title && item.title.toLowerCase().includes(searchTerm)) ||
         (item.tagName && item.tagName.toLowerCase().includes(searchTerm));
       return matchesType && matchesSearch;
     });
@@ -121,6 +256,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // UI Feedback for loading
     scanBtn.disabled = true;
     copyAllBtn.style.display = 'none';
+    exportSelect.style.display = 'none';
     downloadAllBtn.style.display = 'none';
     const originalBtnText = scanBtn.textContent;
     scanBtn.textContent = 'Scanning...';
@@ -167,13 +303,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         currentResults = results;
         
         // Store tab info for better filenames
-        if (tab) window.activeTabTitle = tab.title;
+        if (tab) {
+          window.activeTabTitle = tab.title;
+          window.activeTabUrl = tab.url;
+        }
 
         if (results.length > 0) {
           copyAllBtn.style.display = 'block';
+          exportSelect.style.display = 'block';
           downloadAllBtn.style.display = 'block';
         } else {
           copyAllBtn.style.display = 'none';
+          exportSelect.style.display = 'none';
           downloadAllBtn.style.display = 'none';
         }
 
@@ -183,6 +324,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       console.error('Scan error:', err);
       scanBtn.disabled = false;
       copyAllBtn.style.display = 'none';
+      exportSelect.style.display = 'none';
       downloadAllBtn.style.display = 'none';
       scanBtn.textContent = originalBtnText;
       showError(err.message || 'An unexpected error occurred.');
@@ -194,6 +336,7 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function renderResults(results) {
     resultsList.innerHTML = '';
+    downloadCards.clear();
     
     if (results.length === 0) {
       status.textContent = 'No media found.';
@@ -222,17 +365,30 @@ document.addEventListener('DOMContentLoaded', async () => {
       badge.textContent = item.type;
       badge.classList.add(`badge-${item.type}`);
 
-      // Setup URL
+      // Poster / og:image / JSON-LD thumbnail
+      if (item.thumbnail) {
+        const thumb = clone.querySelector('.media-thumb');
+        thumb.src = item.thumbnail;
+        thumb.addEventListener('error', () => { thumb.hidden = true; });
+        thumb.hidden = false;
+      }
+
+      // Setup URL (a title found on the page reads better, the URL stays in the tooltip)
       const urlSpan = clone.querySelector('.media-url');
-      urlSpan.textContent = truncateUrl(item.url);
+      urlSpan.textContent = item.title || truncateUrl(item.url);
       urlSpan.title = item.url;
 
       // Setup Metadata
       const metaSpan = clone.querySelector('.media-meta');
-      const ext = getFileExtension(item.url);
-      const sourceInfo = item.source === 'dom' ? `DOM (${item.tagName})` : 'Network';
+      // Subtitle tracks from a manifest are saved as joined WebVTT whatever their playlist URL looks like
+      const ext = item.subtitleFormat ? 'VTT' : getFileExtension(item.url);
+      const sourceInfo = getSourceLabel(item) + getFrameLabel(item);
       const sizeInfo = item.size ? ` • ${formatSize(item.size)}` : '';
-      metaSpan.textContent = `${ext} • ${sourceInfo}${sizeInfo}`;
+      const durationInfo = item.duration ? ` • ${formatDuration(item.duration)}` : '';
+      const renditionInfo = item.representations ? ` • ${describeRepresentations(item.representations)}` : '';
+      const liveInfo = item.isLive ? ' • LIVE' : '';
+      const trackInfo = item.label ? ` • ${formatTrackLabel(item)}` : '';
+      metaSpan.textContent = `${ext} • ${sourceInfo}${sizeInfo}${durationInfo}${liveInfo}${trackInfo}${renditionInfo}`;
 
       // Action: Copy
       const copyBtn = clone.querySelector('.copy-btn');
@@ -258,110 +414,389 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Action: Download
       const downloadBtn = clone.querySelector('.download-btn');
       const cancelBtn = clone.querySelector('.cancel-btn');
+      const stopBtn = clone.querySelector('.stop-btn');
       const progressBar = clone.querySelector('.progress-bar');
+      const statsLabel = clone.querySelector('.download-stats');
       const mediaItem = clone.querySelector('.media-item');
 
-      // Restore state if currently downloading
-      if (activeDownloads.has(item.url)) {
-        const state = activeDownloads.get(item.url);
-        mediaItem.classList.add('downloading');
-        progressBar.style.width = `${state.percent || 0}%`;
-        // Update state with new DOM elements
-        state.progressBar = progressBar;
-        state.mediaItem = mediaItem;
-      }
+      downloadCards.set(item.url, {
+        mediaItem,
+        progressBar,
+        statsLabel,
+        downloadBtn,
+        downloadTitle: item.isLive ? 'Record Live' : 'Download'
+      });
       
+      // Rendition picker for multi-variant HLS and DASH streams
+      const renditionSelect = clone.querySelector('.rendition-select');
+      const renditions = getRenditionChoices(item, settings.defaultRendition);
+      if (renditions) {
+        renditions.choices.forEach(choice => renditionSelect.add(new Option(choice.label, choice.value)));
+        // A partially finished download resumes with the rendition it started with
+        const resumeVariant = resumableJobs.get(item.url)?.variantUri;
+        const canResumeVariant = renditions.choices.some(choice => choice.value === resumeVariant);
+        renditionSelect.value = item.selectedRendition || (canResumeVariant ? resumeVariant : renditions.selected);
+        renditionSelect.addEventListener('change', () => {
+          item.selectedRendition = renditionSelect.value;
+        });
+        renditionSelect.hidden = false;
+        clone.querySelector('.media-options').classList.add('visible');
+      }
+
       // Special Handling for HLS
-      if (item.type === 'streaming' && item.url.includes('.m3u8')) {
-        const isLong = item.duration && item.duration >= 7200; // 2 hours
-        
-        if (isLong) {
-          downloadBtn.title = 'Copy FFmpeg Command (Video is > 2h)';
-          downloadBtn.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M20 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm-9 12H9.5v-2h-2v2H6V9h1.5v2.5h2V9H11v7zm7-1c0 .55-.45 1-1 1h-4V9h1c.55 0 1 .45 1 1v1c0 .55-.45 1-1 1h-1v2h3v-1h-1V12h2c.55 0 1 .45 1 1v2z"/></svg>';
+      if (getStreamFormat(item) === 'hls') {
+        // MPEG-TS streams are remuxed to MP4 unless the user keeps the original TS
+        const containerSelect = clone.querySelector('.container-select');
+        containerSelect.add(new Option('Save as MP4', 'mp4'));
+        containerSelect.add(new Option('Save as TS', 'ts'));
+        containerSelect.value = item.selectedContainer || resumableJobs.get(item.url)?.container || settings.hlsContainer;
+        containerSelect.addEventListener('change', () => {
+          item.selectedContainer = containerSelect.value;
+        });
+        containerSelect.hidden = false;
+        clone.querySelector('.media-options').classList.add('visible');
+
+        // Streams with alternate audio tracks (languages, commentary) let the user pick one
+        const audioSelect = clone.querySelector('.audio-select');
+        const audioChoices = getAudioChoices(item);
+        if (audioChoices) {
+          audioChoices.forEach(choice => audioSelect.add(new Option(choice.label, choice.value)));
+          audioSelect.value = item.selectedAudio || (audioChoices.find(choice => choice.isDefault) || audioChoices[0]).value;
+          audioSelect.addEventListener('change', () => {
+            item.selectedAudio = audioSelect.value;
+          });
+          audioSelect.hidden = false;
         }
 
-        downloadBtn.addEventListener('click', async () => {
-          if (isLong) {
-            // Copy FFmpeg Command
-            const filename = getSuggestedFilename(item.url).replace(/\.[^/.]+$/, "");
-            const command = `ffmpeg -i "${item.url}" -c copy "${filename}.mp4"`;
-            await navigator.clipboard.writeText(command);
-            showSuccess(downloadBtn);
-          } else {
-            // In-browser Joiner
-            const filename = getSuggestedFilename(item.url).replace(/\.[^/.]+$/, "");
-            const controller = new AbortController();
-            activeDownloads.set(item.url, {
-              controller,
-              percent: 0,
-              progressBar,
-              mediaItem
-            });
-
-            try {
-              mediaItem.classList.add('downloading');
-              progressBar.style.width = '0%';
-
-              await downloadHlsStream(item.url, filename, (current, total) => {
-                const percent = Math.round((current / total) * 100);
-                const state = activeDownloads.get(item.url);
-                if (state) {
-                  state.percent = percent;
-                  if (state.progressBar) {
-                    state.progressBar.style.width = `${percent}%`;
-                  }
-                }
-              }, controller.signal);
-              
-              showSuccess(downloadBtn);
-            } catch (err) {
-              if (err.message === 'Download aborted') {
-                console.log('Download cancelled by user');
-              } else {
-                console.error('HLS Download Failed:', err);
-              }
-            } finally {
-              const state = activeDownloads.get(item.url);
-              if (state) {
-                if (state.mediaItem) state.mediaItem.classList.remove('downloading');
-                if (state.progressBar) state.progressBar.style.width = '0%';
-              }
-              // Also clean up current scope references just in case
-              mediaItem.classList.remove('downloading');
-              progressBar.style.width = '0%';
-              activeDownloads.delete(item.url);
-            }
-          }
+        // Live streams are recorded until stopped or the time limit is reached
+        const limitSelect = clone.querySelector('.limit-select');
+        if (item.isLive) {
+          getRecordingLimits(settings.recordingLimits).forEach(limit => limitSelect.add(new Option(limit.label, limit.value)));
+          limitSelect.value = item.selectedLimit || '0';
+          limitSelect.addEventListener('change', () => {
+            item.selectedLimit = limitSelect.value;
+          });
+          limitSelect.hidden = false;
+        }
+
+        // On-demand streams can be clipped to a time range
+        const clipRange = clone.querySelector('.clip-range');
+        const clipStart = clone.querySelector('.clip-start');
+        const clipEnd = clone.querySelector('.clip-end');
+        if (!item.isLive) {
+          clipStart.value = item.clipStart || '';
+          clipEnd.value = item.clipEnd || '';
+          clipStart.addEventListener('input', () => {
+            item.clipStart = clipStart.value;
+            clipStart.classList.remove('invalid');
+          });
+          clipEnd.addEventListener('input', () => {
+            item.clipEnd = clipEnd.value;
+            clipEnd.classList.remove('invalid');
+          });
+          clipRange.hidden = false;
+        }
+
+        // In-browser Joiner (runs in the background download manager, streams to disk)
+        downloadBtn.addEventListener('click', () => {
+          const clip = readClipRange(clipStart, clipEnd);
+          if (clip === false) return;
+          requestDownload(item, 'hls', {
+            clip,
+            variantUri: renditionSelect.value || undefined,
+            audioName: audioSelect.value || undefined,
+            preference: settings.defaultRendition,
+            container: containerSelect.value,
+            concurrency: settings.segmentConcurrency,
+            record: Boolean(item.isLive),
+            maxDuration: Number(limitSelect.value) || 0
+          });
+        });
+
+        cancelBtn.addEventListener('click', () => cancelItemDownload(item));
+        stopBtn.addEventListener('click', () => stopItemDownload(item));
+
+      } else if (getStreamFormat(item) === 'dash') {
+        // DASH: fetch the chosen representations and save them as real media files
+        downloadBtn.addEventListener('click', () => {
+          requestDownload(item, 'dash', {
+            videoId: renditionSelect.value || undefined
+          });
+        });
+
+        cancelBtn.addEventListener('click', () => cancelItemDownload(item));
+
+      } else if (item.type === 'subtitle') {
+        // Subtitles can be converted to another format and re-timed on the way out
+        const formatSelect = clone.querySelector('.container-select');
+        formatSelect.add(new Option('Original format', ''));
+        Object.entries(SUBTITLE_FORMATS).forEach(([value, format]) => {
+          formatSelect.add(new Option(`Save as ${format.label}`, value));
+        });
+        formatSelect.value = item.selectedSubtitleFormat || '';
+        formatSelect.addEventListener('change', () => {
+          item.selectedSubtitleFormat = formatSelect.value;
+        });
+        formatSelect.hidden = false;
+
+        const offsetInput = clone.querySelector('.subtitle-offset');
+        offsetInput.value = item.subtitleOffset || '';
+        offsetInput.addEventListener('input', () => {
+          item.subtitleOffset = offsetInput.value;
+          offsetInput.classList.remove('invalid');
         });
+        offsetInput.hidden = false;
+        clone.querySelector('.media-options').classList.add('visible');
 
-        cancelBtn.addEventListener('click', () => {
-          const state = activeDownloads.get(item.url);
-          if (state && state.controller) {
-            state.controller.abort();
+        downloadBtn.addEventListener('click', () => {
+          const offset = readSubtitleOffset(offsetInput);
+          if (Number.isNaN(offset)) return;
+          const outputFormat = formatSelect.value || undefined;
+
+          // Untouched subtitle files go straight to Chrome; manifest tracks always need joining
+          if (!item.subtitleFormat && !outputFormat && !offset) {
+            downloadDirectly(item, downloadBtn);
+            return;
           }
+          requestDownload(item, 'subtitle', {
+            source: item.subtitleFormat || 'file',
+            representationId: item.representationId,
+            outputFormat,
+            offset
+          });
+        });
+
+        cancelBtn.addEventListener('click', () => cancelItemDownload(item));
+
+      } else if (item.source === 'mse') {
+        // Buffered MSE data only exists inside the page, which saves it itself
+        downloadBtn.addEventListener('click', async () => {
+          if (await saveMseBuffer(item)) showSuccess(downloadBtn);
         });
 
       } else {
         downloadBtn.addEventListener('click', () => {
-          const filename = getSuggestedFilename(item.url);
-          chrome.downloads.download({
-            url: item.url,
-            filename: filename,
-            conflictAction: 'uniquify'
-          }, (downloadId) => {
-            if (chrome.runtime.lastError) {
-              console.error('Download error:', chrome.runtime.lastError);
-              return;
-            }
-            showSuccess(downloadBtn);
-          });
+          downloadDirectly(item, downloadBtn);
         });
       }
 
+      // The same download as a command for ffmpeg, yt-dlp, curl, wget or aria2c
+      const commandTools = getCommandTools(item);
+      if (commandTools.length > 0) {
+        const commandSelect = clone.querySelector('.command-select');
+        const commandBtn = clone.querySelector('.command-btn');
+        const clipStart = clone.querySelector('.clip-start');
+        const clipEnd = clone.querySelector('.clip-end');
+        commandTools.forEach(tool => commandSelect.add(new Option(COMMAND_TOOLS[tool], tool)));
+        commandSelect.value = item.selectedTool || commandTools[0];
+        commandSelect.addEventListener('change', () => {
+          item.selectedTool = commandSelect.value;
+        });
+        commandSelect.hidden = false;
+        commandBtn.hidden = false;
+        clone.querySelector('.media-options').classList.add('visible');
+
+        commandBtn.addEventListener('click', async () => {
+          const clip = readClipRange(clipStart, clipEnd);
+          if (clip === false) return;
+          // After a download that saved the audio track separately, ffmpeg copies the command joining them
+          const muxFiles = downloads.get(item.url)?.muxFiles;
+          const command = muxFiles && commandSelect.value === 'ffmpeg'
+            ? buildMuxCommand(muxFiles, settings.commandShell)
+            : getDownloadCommand(item, commandSelect.value, renditionSelect.value || undefined, clip);
+          await navigator.clipboard.writeText(command);
+          showSuccess(commandBtn);
+        });
+      }
+
+      updateDownloadCard(item.url);
       resultsList.appendChild(clone);
     });
   }
 
+  // Plain files are handed to Chrome's download manager as they are
+  function downloadDirectly(item, downloadBtn) {
+    chrome.downloads.download({
+      url: item.url,
+      filename: getDownloadFilename(item),
+      conflictAction: settings.filenameConflictAction
+    }, (downloadId) => {
+      if (chrome.runtime.lastError) {
+        console.error('Download error:', chrome.runtime.lastError);
+        return;
+      }
+      showSuccess(downloadBtn);
+    });
+  }
+
+  // Resolves to true once the page has started saving the buffered stream
+  // The page saves it through a link, which can't create folders, so only the file name is used
+  async function saveMseBuffer(item, batchNames) {
+    let filename = getDownloadFilename(item, { withExtension: false }).split('/').pop()
+      + `_${item.type}${item.bufferId}`;
+    if (batchNames) filename = uniquifyFilename(filename, batchNames, { hasExtension: false });
+    try {
+      const response = await chrome.tabs.sendMessage(item.tabId, {
+        action: 'save_mse_buffer',
+        bufferId: item.bufferId,
+        filename
+      }, { frameId: item.frameId || 0 });
+      if (response?.error) throw new Error(response.error);
+      return true;
+    } catch (err) {
+      console.error('Failed to save MSE buffer:', err);
+      status.textContent = `Could not save the buffered stream: ${err.message}`;
+      return false;
+    }
+  }
+
+  /**
+   * Hand a download over to the background download manager
+   */
+  // batchNames collects the names used by one Download All so its files don't overwrite each other
+  async function requestDownload(item, kind, options = {}, batchNames) {
+    // Stream downloaders pick the extension once they know the output format
+    let filename = getDownloadFilename(item, {
+      withExtension: kind === 'file',
+      rendition: options.variantUri || options.videoId
+    });
+    // Subtitle tracks are named after their stream plus the track language
+    if (kind === 'subtitle' && !settings.filenameTemplate.includes('{language}')) {
+      filename += `.${item.language || 'subtitles'}`;
+    }
+    if (batchNames) filename = uniquifyFilename(filename, batchNames, { hasExtension: kind === 'file' || kind === 'subtitle' });
+    try {
+      const job = await startDownload({
+        url: item.url,
+        kind,
+        tabId: item.tabId,
+        filename,
+        options
+      });
+      handleDownloadUpdate(job);
+    } catch (err) {
+      console.error('Failed to start download:', err);
+    }
+  }
+
+  function cancelItemDownload(item) {
+    const job = downloads.get(item.url);
+    if (job) cancelDownload(job.id);
+  }
+
+  /**
+   * Reads the clip inputs. Returns undefined when both are empty and false (with the
+   * offending input highlighted) when the range is invalid.
+   */
+  function readClipRange(startInput, endInput) {
+    const start = parseTimecode(startInput.value);
+    const end = parseTimecode(endInput.value);
+    const startValid = !Number.isNaN(start);
+    const endValid = !Number.isNaN(end) && (end === null || end > (start || 0));
+
+    startInput.classList.toggle('invalid', !startValid);
+    endInput.classList.toggle('invalid', !endValid);
+    if (!startValid || !endValid) return false;
+    if (start === null && end === null) return undefined;
+    return { start: start || 0, end: end ?? undefined };
+  }
+
+  /**
+   * Reads a subtitle offset such as "1.5", "-2" or "-0:01.5". Returns 0 when empty and NaN
+   * (with the input highlighted) when invalid.
+   */
+  function readSubtitleOffset(input) {
+    const value = input.value.trim();
+    const negative = value.startsWith('-');
+    const seconds = parseTimecode(value.replace(/^[-+]/, ''));
+    input.classList.toggle('invalid', Number.isNaN(seconds));
+    if (Number.isNaN(seconds)) return NaN;
+    return (negative ? -1 : 1) * (seconds || 0);
+  }
+
+  function stopItemDownload(item) {
+    const job = downloads.get(item.url);
+    if (job) stopDownload(job.id);
+  }
+
+  async function handleDownloadUpdate(job) {
+    const previous = downloads.get(job.url);
+    // Progress broadcasts can arrive after the job has already finished
+    if (previous && previous.id === job.id && !isActiveDownload(previous) && isActiveDownload(job)) return;
+    downloads.set(job.url, job);
+
+    if (!isActiveDownload(job)) {
+      if (job.status === 'failed') console.error('Stream Download Failed:', job.error);
+      // Interrupted HLS downloads keep their finished segments and can be resumed
+      resumableJobs = await loadResumableJobs();
+    }
+
+    updateDownloadCard(job.url);
+
+    const card = downloadCards.get(job.url);
+    if (card && job.status === 'completed' && previous?.status !== 'completed') {
+      showSuccess(card.downloadBtn);
+    }
+  }
+
+  function updateDownloadCard(url) {
+    const card = downloadCards.get(url);
+    if (!card) return;
+
+    const job = downloads.get(url);
+    const active = isActiveDownload(job);
+    card.mediaItem.classList.toggle('downloading', active);
+    card.mediaItem.classList.toggle('recording', active && job.recording);
+    card.mediaItem.classList.remove('resumable');
+    card.downloadBtn.title = card.downloadTitle;
+
+    if (active) {
+      card.progressBar.style.width = `${job.percent}%`;
+      card.statsLabel.textContent = job.status === 'queued' ? 'Queued' : formatDownloadStats(job);
+      return;
+    }
+
+    card.progressBar.style.width = '0%';
+    card.statsLabel.textContent = '';
+    if (job?.status === 'completed' && job.muxFiles) {
+      card.statsLabel.textContent = 'Audio track saved as a separate file • copy the FFmpeg command to mux it';
+    }
+    if (resumableJobs.has(url)) {
+      showResumableState(resumableJobs.get(url), card);
+    }
+  }
+
+  async function loadResumableJobs() {
+    try {
+      const jobs = await listJobs();
+      return new Map(jobs.map(job => [job.id, job]));
+    } catch (e) {
+      console.warn('Could not load resumable downloads:', e);
+      return new Map();
+    }
+  }
+
+  function showResumableState(job, { mediaItem, progressBar, statsLabel, downloadBtn }) {
+    const percent = Math.round((job.completedCount / job.total) * 100);
+    mediaItem.classList.add('resumable');
+    progressBar.style.width = `${percent}%`;
+    statsLabel.textContent = `Paused at ${percent}% • download again to resume`;
+    downloadBtn.title = 'Resume Download';
+  }
+
+  function formatDownloadStats(job) {
+    const { percent, stats } = job;
+    if (job.recording) {
+      // Live recordings have no end to measure against; show what has been captured
+      return `● REC ${formatDuration(Math.floor(stats?.duration || 0)) || '0s'} • ${formatSize(stats?.bytes)}`;
+    }
+    // The clip snaps to segment boundaries, so show the range actually being saved
+    const clip = stats?.clip ? `Clip ${formatTimecode(stats.clip.start)}–${formatTimecode(stats.clip.end)} • ` : '';
+    if (!stats || !stats.speed) return `${clip}${percent}%`;
+    const eta = stats.eta != null ? ` • ${formatDuration(Math.ceil(stats.eta)) || '0s'} left` : '';
+    return `${clip}${percent}% • ${formatSize(stats.bytes)} • ${formatSize(stats.speed)}/s${eta}`;
+  }
+
   function showSuccess(btn) {
     const originalContent = btn.innerHTML;
     btn.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16"><path fill="currentColor" d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z"/></svg>';
@@ -374,31 +809,59 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 1500);
   }
 
-  function getSuggestedFilename(url) {
-    try {
-      const u = new URL(url);
-      let filename = u.pathname.split('/').pop() || '';
-      
-      // Remove extensions and generic names
-      const cleanName = filename.replace(/\.(m3u8|ts|mp4|m4s|mp3)$/i, '');
-      const isGeneric = !cleanName || ['master', 'index', 'playlist', 'stream', 'chunk'].includes(cleanName.toLowerCase());
+  /**
+   * Builds the download path of an item from the filename template in the options.
+   * rendition is the chosen variant URI or representation ID; the default quality is assumed otherwise.
+   */
+  function getDownloadFilename(item, { withExtension = true, rendition } = {}) {
+    const chosen = rendition || item.selectedRendition || getRenditionChoices(item, settings.defaultRendition)?.selected;
+    const values = getFilenameValues(item, {
+      pageUrl: window.activeTabUrl,
+      pageTitle: window.activeTabTitle,
+      resolution: getResolutionLabel(item, chosen)
+    });
+    return renderFilename(settings.filenameTemplate, values, { withExtension });
+  }
 
-      if (isGeneric && window.activeTabTitle) {
-        // Use page title if filename is generic
-        return window.activeTabTitle.replace(/[^a-z0-9]/gi, '_').substring(0, 50);
-      }
+  /**
+   * Builds a command that downloads an item with the chosen tool, rendition and clip range,
+   * quoted for the shell picked in the options.
+   */
+  function getDownloadCommand(item, tool, rendition, clip) {
+    return buildCommand(tool, item, {
+      shell: settings.commandShell,
+      output: getDownloadFilename(item, { withExtension: false, rendition }),
+      // Streams are copied into MP4; files keep their own format
+      extension: item.type === 'streaming' ? 'mp4' : getFilenameValues(item).ext,
+      rendition,
+      clip,
+      userAgent: navigator.userAgent
+    });
+  }
 
-      if (!filename || filename.length < 3) {
-        filename = u.hostname.replace(/\./g, '_') + '.file';
-      }
-      // Remove query params
-      filename = filename.split('?')[0].split('#')[0];
-      return filename;
-    } catch(e) {
-      return 'media_file';
+  function getSourceLabel(item) {
+    if (item.source === 'dom') return `DOM (${item.tagName})`;
+    if (item.source === 'manifest') return 'Manifest';
+    // Only what the player has buffered so far is captured
+    if (item.source === 'mse') return `MSE (${item.mimeType})${item.truncated ? ' • size limit reached' : ''}`;
+    return 'Network';
+  }
+
+  // Results found inside an iframe name the frame's host, embedded players usually live there
+  function getFrameLabel(item) {
+    if (!item.frameId || !item.frameUrl) return '';
+    try {
+      return ` • iframe (${new URL(item.frameUrl).hostname})`;
+    } catch (e) {
+      return ' • iframe';
     }
   }
 
+  function formatTrackLabel(item) {
+    const language = item.language && item.language !== item.label ? ` (${item.language})` : '';
+    return `${item.label}${language}`;
+  }
+
   function formatDuration(seconds) {
     if (!seconds) return '';
     const h = Math.floor(seconds / 3600);
@@ -409,6 +872,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     return `${s}s`;
   }
 
+  function describeRepresentations(representations) {
+    const videos = representations.filter(rep => rep.kind === 'video');
+    const audios = representations.filter(rep => rep.kind === 'audio');
+    const maxHeight = Math.max(0, ...videos.map(rep => rep.height || 0));
+    const parts = [];
+    if (videos.length) parts.push(maxHeight ? `${videos.length} video (up to ${maxHeight}p)` : `${videos.length} video`);
+    if (audios.length) parts.push(`${audios.length} audio`);
+    return parts.join(', ') || 'No playable tracks';
+  }
+
   function showError(msg) {
     status.textContent = 'Error occurred.';
     resultsList.innerHTML = `
@@ -429,6 +902,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       </div>
     `;
     copyAllBtn.style.display = 'none';
+    exportSelect.style.display = 'none';
     downloadAllBtn.style.display = 'none';
   }
 
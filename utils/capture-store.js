@@ -0,0 +1,124 @@
+/**
+ * Capture Store
+ * Per-tab lists of captured media kept in chrome.storage.session, so they survive the
+ * service worker being shut down after a short idle period. Reads are served from an
+ * in-memory copy restored on first use; changes are written back shortly after they happen.
+ * Each tab keeps its newest entries up to a limit, and only the most recently active tabs are kept.
+ */
+
+export const DEFAULT_CAPTURE_LIMITS = {
+  maxEntriesPerTab: 100,
+  maxTabs: 25
+};
+
+const WRITE_DELAY = 250; // ms; bursts of captures are written together
+
+/**
+ * Creates a store whose tabs are saved under "captures:<name>:<tabId>" in session storage.
+ */
+export function createCaptureStore(name) {
+  const prefix = `captures:${name}:`;
+  let limits = { ...DEFAULT_CAPTURE_LIMITS };
+  let tabs = null; // tabId -> { updatedAt, entries }
+  let loading = null;
+  const dirtyTabs = new Set();
+  let writeTimer = null;
+
+  function load() {
+    if (!loading) {
+      loading = chrome.storage.session.get(null)
+        .then(stored => {
+          tabs = new Map();
+          Object.entries(stored).forEach(([key, tab]) => {
+            if (key.startsWith(prefix)) tabs.set(Number(key.substring(prefix.length)), tab);
+          });
+        })
+        .catch(e => {
+          console.warn('Could not restore captured media:', e);
+          tabs = new Map();
+        });
+    }
+    return loading;
+  }
+
+  function scheduleWrite(tabId) {
+    dirtyTabs.add(tabId);
+    if (writeTimer) return;
+    writeTimer = setTimeout(flush, WRITE_DELAY);
+  }
+
+  function flush() {
+    writeTimer = null;
+    const changes = {};
+    const removed = [];
+    dirtyTabs.forEach(tabId => {
+      if (tabs.has(tabId)) {
+        changes[prefix + tabId] = tabs.get(tabId);
+      } else {
+        removed.push(prefix + tabId);
+      }
+    });
+    dirtyTabs.clear();
+
+    if (Object.keys(changes).length > 0) {
+      chrome.storage.session.set(changes).catch(e => console.warn('Could not save captured media:', e));
+    }
+    if (removed.length > 0) {
+      chrome.storage.session.remove(removed).catch(() => {});
+    }
+  }
+
+  function enforceLimits(tabId) {
+    const tab = tabs.get(tabId);
+    if (tab && tab.entries.length > limits.maxEntriesPerTab) {
+      tab.entries.splice(0, tab.entries.length - limits.maxEntriesPerTab);
+    }
+
+    // Tabs that haven't captured anything for the longest are dropped first
+    const byAge = [...tabs].sort(([, a], [, b]) => a.updatedAt - b.updatedAt);
+    while (byAge.length > limits.maxTabs) {
+      const [oldestTabId] = byAge.shift();
+      tabs.delete(oldestTabId);
+      scheduleWrite(oldestTabId);
+    }
+  }
+
+  return {
+    /**
+     * Changes the limits; they apply to every tab from its next update.
+     */
+    setLimits(changes) {
+      limits = { ...limits, ...changes };
+    },
+
+    /**
+     * Resolves to the entries captured for a tab, oldest first.
+     */
+    async get(tabId) {
+      await load();
+      return tabs.get(tabId)?.entries || [];
+    },
+
+    /**
+     * Calls mutate(entries) to add or change a tab's entries in place, then applies the limits
+     * (dropping the oldest entries) and saves the tab. Resolves to mutate's return value.
+     */
+    async update(tabId, mutate) {
+      await load();
+      if (!tabs.has(tabId)) tabs.set(tabId, { updatedAt: 0, entries: [] });
+
+      const tab = tabs.get(tabId);
+      const result = mutate(tab.entries);
+      tab.updatedAt = Date.now();
+      enforceLimits(tabId);
+      scheduleWrite(tabId);
+      return result;
+    },
+
+    async delete(tabId) {
+      await load();
+      tabs.delete(tabId);
+      scheduleWrite(tabId);
+    }
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Command Builder
+ * Builds copy-and-paste commands that download a scan result with ffmpeg, yt-dlp, curl, wget
+ * or aria2c, for POSIX shells (bash, zsh) or PowerShell. Every argument is quoted for the
+ * chosen shell, and the page's recorded headers (Referer, Cookie, ...) and User-Agent are
+ * passed along so protected media isn't refused.
+ */
+
+export const COMMAND_TOOLS = {
+  ffmpeg: 'ffmpeg',
+  ytdlp: 'yt-dlp',
+  curl: 'curl',
+  wget: 'wget',
+  aria2c: 'aria2c'
+};
+
+export const COMMAND_SHELLS = {
+  posix: 'Bash / zsh (macOS, Linux)',
+  powershell: 'PowerShell (Windows)'
+};
+
+// Arguments made only of these never need quoting in either shell
+const SAFE_ARGUMENT = /^[\w./:=+-]+$/;
+// Stands in for ffmpeg's -headers value until it is quoted, since it needs escaped CRLFs
+const RAW_HEADERS = Symbol('headers');
+
+/**
+ * Returns the tools (keys of COMMAND_TOOLS) that can fetch a result, best first.
+ * Streams need a tool that understands manifests; media that only exists inside the page has none.
+ */
+export function getCommandTools(item) {
+  if (item.source === 'mse' || !/^https?:/i.test(item.url) || item.subtitleFormat) return [];
+  if (item.type === 'streaming') return ['ffmpeg', 'ytdlp'];
+  if (item.type === 'subtitle') return ['curl', 'wget', 'aria2c'];
+  return ['curl', 'wget', 'aria2c', 'ffmpeg', 'ytdlp'];
+}
+
+/**
+ * Builds the command for one result.
+ * options: { shell, output, extension, rendition, clip: { start, end }, userAgent }
+ * output is the download path without extension (see utils/filename-template.js); rendition is
+ * the chosen HLS variant URI or DASH representation ID; clip times are in seconds.
+ */
+export function buildCommand(tool, item, options = {}) {
+  const { shell = 'posix', output = 'media', extension = 'mp4', rendition, clip, userAgent } = options;
+  const headers = Object.entries(item.requestHeaders || {});
+  // HLS variants are playlists of their own; DASH representations are picked from the manifest
+  const variant = (item.variants || []).find(v => v.uri === rendition);
+  const url = variant ? variant.uri : item.url;
+  const fileName = output.split('/').pop();
+  let args;
+
+  switch (tool) {
+    case 'ffmpeg': {
+      args = ['ffmpeg'];
+      if (userAgent) args.push('-user_agent', userAgent);
+      if (headers.length > 0) args.push('-headers', RAW_HEADERS);
+      if (clip) {
+        args.push('-ss', String(clip.start || 0));
+        if (clip.end !== undefined) args.push('-t', String(clip.end - (clip.start || 0)));
+      }
+      args.push('-i', url);
+      const videoIndex = getDashVideoIndex(item, rendition);
+      if (videoIndex >= 0) args.push('-map', `0:v:${videoIndex}`, '-map', '0:a:0?');
+      // ffmpeg doesn't create folders, so it writes to the directory it is run in
+      args.push('-c', 'copy', `${fileName}.${extension}`);
+      break;
+    }
+    case 'ytdlp': {
+      args = ['yt-dlp'];
+      if (userAgent) args.push('--user-agent', userAgent);
+      headers.forEach(([header, value]) => args.push('--add-header', `${header}:${value}`));
+      if (clip) args.push('--download-sections', `*${clip.start || 0}-${clip.end ?? 'inf'}`);
+      const height = getDashHeight(item, rendition);
+      if (height) args.push('-f', `bv*[height<=${height}]+ba/b[height<=${height}]`);
+      // "%" starts a field in yt-dlp output templates
+      args.push('-o', `${output.replace(/%/g, '%%')}.%(ext)s`, url);
+      break;
+    }
+    case 'curl':
+      args = [shell === 'powershell' ? 'curl.exe' : 'curl', '-L', '--fail', '--create-dirs'];
+      if (userAgent) args.push('-A', userAgent);
+      headers.forEach(([header, value]) => args.push('-H', `${header}: ${value}`));
+      args.push('-o', `${output}.${extension}`, url);
+      break;
+    case 'wget':
+      args = [shell === 'powershell' ? 'wget.exe' : 'wget'];
+      if (userAgent) args.push('--user-agent', userAgent);
+      headers.forEach(([header, value]) => args.push('--header', `${header}: ${value}`));
+      args.push('-O', `${fileName}.${extension}`, url);
+      break;
+    case 'aria2c':
+      args = ['aria2c'];
+      if (userAgent) args.push('-U', userAgent);
+      headers.forEach(([header, value]) => args.push('--header', `${header}: ${value}`));
+      args.push('-o', `${output}.${extension}`, url);
+      break;
+    default:
+      throw new Error(`Unknown command-line tool: ${tool}`);
+  }
+
+  return args
+    .map(arg => (arg === RAW_HEADERS ? quoteHeaderLines(headers, shell) : quoteArgument(arg, shell)))
+    .join(' ');
+}
+
+/**
+ * Builds the ffmpeg command joining a video file and the audio file saved next to it,
+ * run from the download folder.
+ */
+export function buildMuxCommand(files, shell = 'posix') {
+  const [video, audio] = files;
+  const output = `${video.replace(/\.[^./]+$/, '')}.muxed.mp4`;
+  return ['ffmpeg', '-i', video, '-i', audio, '-map', '0:v', '-map', '1:a', '-c', 'copy', output]
+    .map(arg => quoteArgument(arg, shell))
+    .join(' ');
+}
+
+/**
+ * Quotes one argument so the shell passes it through unchanged.
+ */
+export function quoteArgument(text, shell = 'posix') {
+  if (SAFE_ARGUMENT.test(text)) return text;
+  if (shell === 'powershell') {
+    // PowerShell treats typographic single quotes as quotes too; doubling escapes both kinds
+    return `'${text.replace(/['\u2018-\u201b]/g, '$&$&')}'`;
+  }
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// ffmpeg wants the headers as one string of CRLF-terminated lines, which takes ANSI-C quoting
+// in bash/zsh and a double-quoted string with `r`n escapes in PowerShell
+function quoteHeaderLines(headers, shell) {
+  const lines = headers.map(([header, value]) => `${header}: ${value}`);
+  if (shell === 'powershell') {
+    const escape = text => text.replace(/[`$"\u201c-\u201e]/g, '`$&');
+    return `"${lines.map(line => `${escape(line)}\`r\`n`).join('')}"`;
+  }
+  const escape = text => text.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  return `$'${lines.map(line => `${escape(line)}\\r\\n`).join('')}'`;
+}
+
+function getDashVideoRepresentations(item) {
+  return (item.representations || []).filter(rep => rep.kind === 'video');
+}
+
+// ffmpeg numbers a manifest's video streams in the order of their representations
+function getDashVideoIndex(item, rendition) {
+  if (!rendition) return -1;
+  return getDashVideoRepresentations(item).findIndex(rep => rep.id === rendition);
+}
+
+function getDashHeight(item, rendition) {
+  return getDashVideoRepresentations(item).find(rep => rep.id === rendition)?.height || null;
+}
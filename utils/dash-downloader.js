@@ -0,0 +1,100 @@
+/**
+ * DASH Downloader Utility
+ * Fetches the init and media segments of the chosen representations and joins them
+ * into playable fragmented MP4/WebM files (one per track). Segments are streamed to disk.
+ */
+
+import { parseMpd, pickBestRepresentation } from './dash-parser.js';
+import { createOutputSink } from './file-output.js';
+
+/**
+ * Downloads a DASH stream.
+ * options.videoId / options.audioId select representations; the highest bandwidth is used otherwise.
+ */
+export async function downloadDashStream(url, filename, onProgress, signal, options = {}) {
+  try {
+    // 1. Fetch and parse the manifest
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error('Failed to fetch manifest');
+    const manifest = parseMpd(await response.text(), response.url || url);
+
+    // 2. Resolve the representations to download
+    const pick = (id, kind) => (id && manifest.representations.find(rep => rep.id === id))
+      || pickBestRepresentation(manifest.representations, kind);
+
+    const tracks = [pick(options.videoId, 'video'), pick(options.audioId, 'audio')].filter(Boolean);
+    if (tracks.length === 0) throw new Error('No downloadable representations found in manifest');
+
+    // 3. Download segments of every track, reporting combined progress
+    const total = tracks.reduce((sum, rep) => sum + rep.segments.length + (rep.initSegment ? 1 : 0), 0);
+    let completed = 0;
+    const advance = () => {
+      completed++;
+      if (onProgress) onProgress(completed, total);
+    };
+
+    if (onProgress) onProgress(0, total);
+
+    // 4. Save each track as its own file
+    for (const rep of tracks) {
+      const sink = await createOutputSink();
+      try {
+        await fetchRepresentation(rep, sink, signal, advance);
+        await sink.save(`${filename}${getExtension(rep, tracks.length)}`, getMimeType(rep));
+      } catch (error) {
+        await sink.discard();
+        throw error;
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('DASH Download Error:', error);
+    throw error;
+  }
+}
+
+async function fetchRepresentation(rep, sink, signal, advance) {
+  let currentInit = null;
+
+  if (rep.initSegment) {
+    await sink.write(await fetchSegment(rep.initSegment, signal));
+    currentInit = rep.initSegment.url;
+    advance();
+  }
+
+  for (const segment of rep.segments) {
+    if (signal?.aborted) throw new Error('Download aborted');
+
+    // Later periods may switch to a different init segment
+    if (segment.initSegment && segment.initSegment.url !== currentInit) {
+      await sink.write(await fetchSegment(segment.initSegment, signal));
+      currentInit = segment.initSegment.url;
+    }
+
+    await sink.write(await fetchSegment(segment, signal));
+    advance();
+  }
+}
+
+async function fetchSegment(segment, signal) {
+  const headers = segment.range ? { Range: `bytes=${segment.range}` } : undefined;
+  const response = await fetch(segment.url, { signal, headers });
+  if (!response.ok) throw new Error(`Failed to fetch segment ${segment.url}`);
+  return response.arrayBuffer();
+}
+
+function getMimeType(rep) {
+  if (rep.mimeType) return rep.mimeType;
+  return rep.kind === 'audio' ? 'audio/mp4' : 'video/mp4';
+}
+
+function getExtension(rep, trackCount) {
+  const isWebm = /webm/.test(rep.mimeType);
+  if (rep.kind === 'audio') {
+    // Name audio-only streams with a suffix only when they sit next to a video file
+    const suffix = trackCount > 1 ? '.audio' : '';
+    return suffix + (isWebm ? '.webm' : '.m4a');
+  }
+  return isWebm ? '.webm' : '.mp4';
+}
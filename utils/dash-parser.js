@@ -0,0 +1,375 @@
+/**
+ * DASH Manifest Parser
+ * Turns an MPD document into a flat list of representations with resolved segment URLs.
+ * Works without DOMParser so it can run inside the background service worker.
+ */
+
+/**
+ * Parses an MPD manifest.
+ * Returns { isLive, duration, representations } where each representation carries
+ * its init segment and the ordered list of media segments to fetch.
+ */
+export function parseMpd(xmlText, manifestUrl) {
+  const mpd = findChild(parseXml(xmlText), 'MPD');
+  if (!mpd) throw new Error('Not a valid MPD manifest');
+
+  const isLive = mpd.attrs.type === 'dynamic';
+  const mpdBase = resolveBaseUrl(manifestUrl, mpd);
+  const periods = findChildren(mpd, 'Period');
+  const totalDuration = parseIsoDuration(mpd.attrs.mediaPresentationDuration);
+
+  const context = {
+    isLive,
+    availabilityStart: mpd.attrs.availabilityStartTime ? Date.parse(mpd.attrs.availabilityStartTime) / 1000 : 0,
+    timeShiftBufferDepth: parseIsoDuration(mpd.attrs.timeShiftBufferDepth)
+  };
+
+  const parsedPeriods = [];
+  let periodStart = 0;
+
+  periods.forEach((period, index) => {
+    const start = period.attrs.start ? parseIsoDuration(period.attrs.start) : periodStart;
+    let duration = parseIsoDuration(period.attrs.duration);
+    if (!duration) {
+      const next = periods[index + 1];
+      if (next && next.attrs.start) {
+        duration = parseIsoDuration(next.attrs.start) - start;
+      } else if (totalDuration) {
+        duration = totalDuration - start;
+      }
+    }
+
+    const periodBase = resolveBaseUrl(mpdBase, period);
+    const representations = [];
+
+    findChildren(period, 'AdaptationSet').forEach(adaptation => {
+      const adaptationBase = resolveBaseUrl(periodBase, adaptation);
+
+      findChildren(adaptation, 'Representation').forEach(rep => {
+        const mimeType = rep.attrs.mimeType || adaptation.attrs.mimeType || '';
+        const codecs = rep.attrs.codecs || adaptation.attrs.codecs || '';
+        const repBase = resolveBaseUrl(adaptationBase, rep);
+
+        const representation = {
+          id: rep.attrs.id || `${index}-${representations.length}`,
+          kind: getRepresentationKind(adaptation, mimeType, codecs),
+          mimeType,
+          codecs,
+          bandwidth: parseInt(rep.attrs.bandwidth, 10) || 0,
+          width: parseInt(rep.attrs.width || adaptation.attrs.width, 10) || null,
+          height: parseInt(rep.attrs.height || adaptation.attrs.height, 10) || null,
+          frameRate: parseFrameRate(rep.attrs.frameRate || adaptation.attrs.frameRate),
+          lang: adaptation.attrs.lang || rep.attrs.lang || null,
+          initSegment: null,
+          segments: []
+        };
+
+        Object.assign(representation, buildSegments({
+          rep: representation,
+          baseUrl: repBase,
+          levels: [rep, adaptation, period],
+          periodStart: start,
+          periodDuration: duration,
+          context
+        }));
+
+        representations.push(representation);
+      });
+    });
+
+    parsedPeriods.push({ start, duration, representations });
+    periodStart = start + (duration || 0);
+  });
+
+  if (parsedPeriods.length === 0) throw new Error('No periods found in MPD');
+
+  return {
+    isLive,
+    duration: totalDuration || parsedPeriods.reduce((sum, p) => sum + (p.duration || 0), 0),
+    representations: mergePeriods(parsedPeriods)
+  };
+}
+
+/**
+ * Picks the highest-bandwidth representation of a given kind.
+ */
+export function pickBestRepresentation(representations, kind) {
+  return representations
+    .filter(rep => rep.kind === kind)
+    .sort((a, b) => b.bandwidth - a.bandwidth)[0] || null;
+}
+
+/**
+ * Strips segment lists so a representation can be sent over runtime messaging.
+ */
+export function summarizeRepresentation(rep) {
+  return {
+    id: rep.id,
+    kind: rep.kind,
+    mimeType: rep.mimeType,
+    codecs: rep.codecs,
+    bandwidth: rep.bandwidth,
+    width: rep.width,
+    height: rep.height,
+    frameRate: rep.frameRate,
+    lang: rep.lang
+  };
+}
+
+// Multi-period manifests (ad breaks, chapters) are stitched by matching representation IDs.
+// Segments from later periods are only appended when the same ID exists there.
+function mergePeriods(periods) {
+  const [first, ...rest] = periods;
+  return first.representations.map(rep => {
+    const merged = { ...rep, segments: [...rep.segments] };
+    rest.forEach(period => {
+      const match = period.representations.find(r => r.id === rep.id);
+      if (!match) return;
+      // A new init segment mid-stream is recorded on the segment so the downloader can re-emit it
+      if (match.initSegment && (!rep.initSegment || match.initSegment.url !== rep.initSegment.url)) {
+        match.segments.forEach(seg => { seg.initSegment = match.initSegment; });
+      }
+      merged.segments.push(...match.segments);
+    });
+    return merged;
+  });
+}
+
+function getRepresentationKind(adaptation, mimeType, codecs) {
+  const contentType = adaptation.attrs.contentType || mimeType.split('/')[0];
+  if (contentType === 'video' || contentType === 'audio' || contentType === 'text') return contentType;
+  if (/ttml|vtt/.test(mimeType) || /^(wvtt|stpp)/.test(codecs)) return 'text';
+  return 'unknown';
+}
+
+function buildSegments({ rep, baseUrl, levels, periodStart, periodDuration, context }) {
+  const template = mergeLevels(levels, 'SegmentTemplate');
+  if (template) {
+    return buildTemplateSegments(template, rep, baseUrl, periodStart, periodDuration, context);
+  }
+
+  const list = mergeLevels(levels, 'SegmentList');
+  if (list) {
+    return buildListSegments(list, baseUrl);
+  }
+
+  // SegmentBase (or no segment info at all): the BaseURL is a single self-contained file
+  return {
+    initSegment: null,
+    segments: [{ url: baseUrl, duration: periodDuration || 0, range: null }]
+  };
+}
+
+function buildTemplateSegments(template, rep, baseUrl, periodStart, periodDuration, context) {
+  const attrs = template.attrs;
+  const timescale = parseInt(attrs.timescale, 10) || 1;
+  const startNumber = attrs.startNumber !== undefined ? parseInt(attrs.startNumber, 10) : 1;
+  const presentationTimeOffset = parseInt(attrs.presentationTimeOffset, 10) || 0;
+
+  const fill = (pattern, number, time) => new URL(fillTemplate(pattern, {
+    RepresentationID: rep.id,
+    Bandwidth: rep.bandwidth,
+    Number: number,
+    Time: time
+  }), baseUrl).href;
+
+  const initSegment = attrs.initialization
+    ? { url: fill(attrs.initialization), range: null }
+    : null;
+
+  const segments = [];
+  const timeline = template.children.SegmentTimeline;
+
+  if (timeline) {
+    const entries = findChildren(timeline, 'S');
+    const periodEnd = periodDuration ? presentationTimeOffset + periodDuration * timescale : Infinity;
+    let number = startNumber;
+    let time = 0;
+
+    entries.forEach((entry, index) => {
+      if (entry.attrs.t !== undefined) time = parseInt(entry.attrs.t, 10);
+      const d = parseInt(entry.attrs.d, 10);
+      let repeat = parseInt(entry.attrs.r, 10) || 0;
+
+      if (repeat < 0) {
+        // Negative repeat means "until the next S@t or the end of the period"
+        const next = entries[index + 1];
+        const end = next && next.attrs.t !== undefined ? parseInt(next.attrs.t, 10) : periodEnd;
+        repeat = Number.isFinite(end) ? Math.ceil((end - time) / d) - 1 : 0;
+      }
+
+      for (let k = 0; k <= repeat; k++) {
+        segments.push({ url: fill(attrs.media, number, time), duration: d / timescale, range: null });
+        time += d;
+        number++;
+      }
+    });
+  } else if (attrs.duration) {
+    const segmentDuration = parseInt(attrs.duration, 10);
+    let first = startNumber;
+    let count;
+
+    if (context.isLive && !periodDuration) {
+      // Only the segments inside the time-shift window are available on a live manifest
+      const now = Date.now() / 1000;
+      const elapsed = now - context.availabilityStart - periodStart;
+      const latest = startNumber + Math.floor(elapsed * timescale / segmentDuration) - 1;
+      const window = Math.ceil((context.timeShiftBufferDepth || 30) * timescale / segmentDuration);
+      first = Math.max(startNumber, latest - window + 1);
+      count = Math.max(0, latest - first + 1);
+    } else {
+      count = Math.ceil((periodDuration || 0) * timescale / segmentDuration);
+    }
+
+    for (let k = 0; k < count; k++) {
+      const number = first + k;
+      const time = presentationTimeOffset + (number - startNumber) * segmentDuration;
+      segments.push({ url: fill(attrs.media, number, time), duration: segmentDuration / timescale, range: null });
+    }
+  }
+
+  return { initSegment, segments };
+}
+
+function buildListSegments(list, baseUrl) {
+  const timescale = parseInt(list.attrs.timescale, 10) || 1;
+  const duration = parseInt(list.attrs.duration, 10) || 0;
+  const init = list.children.Initialization;
+
+  const initSegment = init
+    ? { url: new URL(init.attrs.sourceURL || '', baseUrl).href, range: init.attrs.range || null }
+    : null;
+
+  // Repeated SegmentURL elements can't be merged by name; the innermost level listing them wins
+  const segmentUrls = list.nodes
+    .map(node => findChildren(node, 'SegmentURL'))
+    .reduce((found, urls) => (urls.length > 0 ? urls : found), []);
+
+  const segments = segmentUrls.map(seg => ({
+    url: new URL(seg.attrs.media || '', baseUrl).href,
+    range: seg.attrs.mediaRange || null,
+    duration: duration / timescale
+  }));
+
+  return { initSegment, segments };
+}
+
+// Segment info may be declared on the Period, AdaptationSet or Representation.
+// Attributes and child elements on the innermost level take precedence; `nodes` keeps the
+// original elements, outermost first.
+function mergeLevels(levels, name) {
+  let merged = null;
+  for (let i = levels.length - 1; i >= 0; i--) {
+    const node = findChild(levels[i], name);
+    if (!node) continue;
+    merged = merged || { attrs: {}, children: {}, nodes: [] };
+    merged.nodes.push(node);
+    Object.assign(merged.attrs, node.attrs);
+    node.children.forEach(child => {
+      merged.children[localName(child.name)] = child;
+    });
+  }
+  return merged;
+}
+
+function fillTemplate(pattern, values) {
+  return pattern.replace(/\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$|\$\$/g, (match, key, width) => {
+    if (!key) return '$';
+    const value = values[key];
+    if (value === undefined) return match;
+    return width ? String(value).padStart(parseInt(width, 10), '0') : String(value);
+  });
+}
+
+function resolveBaseUrl(parentUrl, node) {
+  const baseNode = findChild(node, 'BaseURL');
+  if (!baseNode || !baseNode.text.trim()) return parentUrl;
+  try {
+    return new URL(baseNode.text.trim(), parentUrl).href;
+  } catch (e) {
+    return parentUrl;
+  }
+}
+
+/**
+ * Parses ISO 8601 durations such as PT1H2M3.5S into seconds.
+ */
+export function parseIsoDuration(value) {
+  if (!value) return 0;
+  const match = value.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match) return 0;
+  const [, d, h, m, s] = match.map(v => parseFloat(v) || 0);
+  return d * 86400 + h * 3600 + m * 60 + s;
+}
+
+function parseFrameRate(value) {
+  if (!value) return null;
+  const [num, den] = value.split('/').map(Number);
+  const rate = den ? num / den : num;
+  return Number.isFinite(rate) ? Math.round(rate * 100) / 100 : null;
+}
+
+// --- Minimal XML reader ---------------------------------------------------
+
+function localName(name) {
+  const idx = name.indexOf(':');
+  return idx === -1 ? name : name.substring(idx + 1);
+}
+
+function findChildren(node, name) {
+  return node.children.filter(child => localName(child.name) === name);
+}
+
+function findChild(node, name) {
+  return node.children.find(child => localName(child.name) === name) || null;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    switch (entity.toLowerCase()) {
+      case 'amp': return '&';
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'quot': return '"';
+      case 'apos': return "'";
+      default:
+        return entity[1] === 'x' || entity[1] === 'X'
+          ? String.fromCodePoint(parseInt(entity.substring(2), 16))
+          : String.fromCodePoint(parseInt(entity.substring(1), 10));
+    }
+  });
+}
+
+function parseXml(text) {
+  const root = { name: '#root', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenRegex = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const attrRegex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = tokenRegex.exec(text)) !== null) {
+    const current = stack[stack.length - 1];
+    const [, cdata, closing, name, rawAttrs, selfClosing, textNode] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (textNode !== undefined) {
+      current.text += decodeEntities(textNode);
+    } else if (name) {
+      if (closing) {
+        if (stack.length > 1) stack.pop();
+        continue;
+      }
+      const node = { name, attrs: {}, children: [], text: '' };
+      let attr;
+      attrRegex.lastIndex = 0;
+      while ((attr = attrRegex.exec(rawAttrs)) !== null) {
+        node.attrs[localName(attr[1])] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+      }
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  return root;
+}
@@ -0,0 +1,45 @@
+/**
+ * Download Client
+ * Lets the popup and side panel drive the background download manager over messages.
+ */
+
+export async function startDownload(download) {
+  const response = await chrome.runtime.sendMessage({ action: 'download_start', download });
+  if (response?.error) throw new Error(response.error);
+  return response.job;
+}
+
+export async function cancelDownload(id) {
+  const response = await chrome.runtime.sendMessage({ action: 'download_cancel', id });
+  return Boolean(response?.cancelled);
+}
+
+/**
+ * Ends a live recording; the part recorded so far is saved.
+ */
+export async function stopDownload(id) {
+  const response = await chrome.runtime.sendMessage({ action: 'download_stop', id });
+  return Boolean(response?.stopped);
+}
+
+export async function listDownloads() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'download_list' });
+    return response?.jobs || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Calls callback(job) for every state change or progress update broadcast by the manager.
+ */
+export function onDownloadProgress(callback) {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'download_progress') callback(message.job);
+  });
+}
+
+export function isActiveDownload(job) {
+  return Boolean(job) && (job.status === 'queued' || job.status === 'downloading');
+}
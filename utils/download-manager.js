@@ -0,0 +1,178 @@
+/**
+ * Download Manager
+ * Owns every in-browser download so they outlive the popup and side panel.
+ * Runs inside the offscreen document; views start, cancel and observe jobs through
+ * background.js messages and all see the same job state.
+ */
+
+import { downloadHlsStream } from './hls-downloader.js';
+import { downloadDashStream } from './dash-downloader.js';
+import { downloadSubtitleTrack } from './subtitle-downloader.js';
+
+// Stream downloads running at once; the rest wait in a queue
+export const MAX_ACTIVE_STREAMS = 2;
+
+const PROGRESS_INTERVAL = 250; // ms between progress broadcasts for the same job
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export class DownloadManager {
+  /**
+   * onChange(snapshot) is called whenever a job changes state or makes progress.
+   */
+  constructor(onChange) {
+    this.jobs = new Map();
+    this.onChange = onChange;
+  }
+
+  /**
+   * Queues a download. request: { url, kind: 'hls' | 'dash' | 'subtitle' | 'file', filename, options }.
+   * HLS jobs with options.record set record a live stream until stopped.
+   * Starting a URL that is already downloading returns the running job.
+   */
+  start(request) {
+    const running = [...this.jobs.values()].find(job => job.url === request.url && !isFinished(job));
+    if (running) return snapshot(running);
+
+    const job = {
+      id: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      url: request.url,
+      kind: request.kind,
+      // Tab the media was found in; its request header rules stay installed while the job runs
+      tabId: request.tabId ?? null,
+      filename: request.filename,
+      options: request.options || {},
+      recording: Boolean(request.options?.record),
+      status: 'queued',
+      percent: 0,
+      stats: null,
+      error: null,
+      muxFiles: null,
+      createdAt: Date.now(),
+      controller: new AbortController(),
+      stopController: new AbortController(),
+      lastNotified: 0
+    };
+
+    // A newer attempt replaces the finished record for the same URL
+    [...this.jobs.values()]
+      .filter(old => old.url === job.url)
+      .forEach(old => this.jobs.delete(old.id));
+
+    this.jobs.set(job.id, job);
+    this.notify(job, true);
+    this.pump();
+    return snapshot(job);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || isFinished(job)) return false;
+
+    job.controller.abort();
+    if (job.status === 'queued') this.finish(job, 'cancelled');
+    return true;
+  }
+
+  /**
+   * Ends a live recording and saves what has been recorded so far.
+   */
+  stop(id) {
+    const job = this.jobs.get(id);
+    if (!job || !job.recording || isFinished(job)) return false;
+
+    if (job.status === 'queued') return this.cancel(id);
+    job.stopController.abort();
+    return true;
+  }
+
+  list() {
+    return [...this.jobs.values()].map(snapshot);
+  }
+
+  get isIdle() {
+    return [...this.jobs.values()].every(isFinished);
+  }
+
+  // Starts queued jobs while there is capacity. Plain files are handed to Chrome immediately
+  // and live recordings start right away since they can't wait for the stream.
+  pump() {
+    const queued = [...this.jobs.values()].filter(job => job.status === 'queued');
+    let active = [...this.jobs.values()].filter(job => job.status === 'downloading' && isQueueable(job)).length;
+
+    for (const job of queued) {
+      if (isQueueable(job)) {
+        if (active >= MAX_ACTIVE_STREAMS) continue;
+        active++;
+      }
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    job.status = 'downloading';
+    this.notify(job, true);
+
+    const onProgress = (completed, total, stats) => {
+      job.percent = total ? Math.round((completed / total) * 100) : 0;
+      job.stats = stats || null;
+      this.notify(job);
+    };
+
+    try {
+      if (job.kind === 'hls') {
+        const options = { ...job.options, stopSignal: job.stopController.signal };
+        const result = await downloadHlsStream(job.url, job.filename, onProgress, job.controller.signal, options);
+        // Set when the audio rendition had to be saved as its own file
+        job.muxFiles = result?.muxFiles || null;
+      } else if (job.kind === 'dash') {
+        await downloadDashStream(job.url, job.filename, onProgress, job.controller.signal, job.options);
+      } else if (job.kind === 'subtitle') {
+        await downloadSubtitleTrack(job.url, job.filename, onProgress, job.controller.signal, job.options);
+      } else {
+        await saveFile(job.url, job.filename);
+      }
+      job.percent = 100;
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        job.error = error.message || String(error);
+        this.finish(job, 'failed');
+      }
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    this.notify(job, true);
+    this.pump();
+  }
+
+  notify(job, force = false) {
+    const now = Date.now();
+    if (!force && now - job.lastNotified < PROGRESS_INTERVAL) return;
+    job.lastNotified = now;
+    if (this.onChange) this.onChange(snapshot(job));
+  }
+}
+
+function isQueueable(job) {
+  return job.kind !== 'file' && !job.recording;
+}
+
+function isFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+// The message-safe view of a job
+function snapshot(job) {
+  const { id, url, kind, tabId, filename, recording, status, percent, stats, error, muxFiles, createdAt } = job;
+  return { id, url, kind, tabId, filename, recording, status, percent, stats, error, muxFiles, createdAt };
+}
+
+// Direct media files don't need joining; Chrome's own download manager takes them from here
+async function saveFile(url, filename) {
+  const response = await chrome.runtime.sendMessage({ action: 'save_file', url, filename });
+  if (response?.error) throw new Error(response.error);
+}
@@ -0,0 +1,139 @@
+/**
+ * Download Store
+ * Persists partially finished stream downloads in IndexedDB so they survive the popup
+ * closing or the browser restarting. A job records which stream and rendition was being
+ * saved; the (decrypted) segments themselves are stored next to it, and the stored segment
+ * keys are what tells which ones are done.
+ */
+
+const DB_NAME = 'mediavue';
+const DB_VERSION = 1;
+const JOB_STORE = 'jobs';
+const SEGMENT_STORE = 'segments'; // keyed by [jobId, index]
+
+// Partial downloads untouched for this long are considered abandoned
+export const ABANDONED_JOB_AGE = 3 * 24 * 60 * 60 * 1000; // 3 days
+// A running job's updatedAt is refreshed at most this often, not on every segment
+const TOUCH_INTERVAL = 60 * 1000;
+
+let dbPromise = null;
+const lastTouched = new Map(); // jobId -> time updatedAt was last written
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(JOB_STORE, { keyPath: 'id' });
+        db.createObjectStore(SEGMENT_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to try again
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs fn(transaction) and resolves with its return value once the transaction commits.
+ * If fn returns an IDBRequest, the request's result is resolved instead.
+ */
+async function transact(storeNames, mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const value = fn(tx);
+    tx.oncomplete = () => resolve(value instanceof IDBRequest ? value.result : value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function segmentRange(jobId) {
+  return IDBKeyRange.bound([jobId, 0], [jobId, Infinity]);
+}
+
+export function getJob(id) {
+  return transact(JOB_STORE, 'readonly', tx => tx.objectStore(JOB_STORE).get(id));
+}
+
+/**
+ * Returns every stored job with completedCount, the number of segments saved for it.
+ */
+export function listJobs() {
+  return transact([JOB_STORE, SEGMENT_STORE], 'readonly', tx => {
+    const jobs = [];
+    const segments = tx.objectStore(SEGMENT_STORE);
+    tx.objectStore(JOB_STORE).getAll().onsuccess = (event) => {
+      event.target.result.forEach(job => {
+        segments.count(segmentRange(job.id)).onsuccess = (countEvent) => {
+          jobs.push({ ...job, completedCount: countEvent.target.result });
+        };
+      });
+    };
+    return jobs;
+  });
+}
+
+/**
+ * Returns the indices of the segments stored for a job as a Set.
+ */
+export async function getCompletedSegments(jobId) {
+  const keys = await transact(SEGMENT_STORE, 'readonly', tx => tx.objectStore(SEGMENT_STORE).getAllKeys(segmentRange(jobId)));
+  return new Set(keys.map(([, index]) => index));
+}
+
+export function saveJob(job) {
+  return transact(JOB_STORE, 'readwrite', tx => {
+    tx.objectStore(JOB_STORE).put({ ...job, updatedAt: Date.now() });
+  });
+}
+
+/**
+ * Stores one finished segment, unless its job has been deleted meanwhile. Once a minute the
+ * job's updatedAt is refreshed in the same transaction, so a long download isn't taken for abandoned.
+ */
+export function saveSegment(jobId, index, data) {
+  const now = Date.now();
+  const touch = now - (lastTouched.get(jobId) || 0) > TOUCH_INTERVAL;
+  if (touch) lastTouched.set(jobId, now);
+
+  return transact([JOB_STORE, SEGMENT_STORE], 'readwrite', tx => {
+    const jobs = tx.objectStore(JOB_STORE);
+    tx.objectStore(SEGMENT_STORE).put(data, [jobId, index]);
+
+    const request = touch ? jobs.get(jobId) : jobs.getKey(jobId);
+    request.onsuccess = () => {
+      if (request.result === undefined) return tx.abort();
+      if (touch) jobs.put({ ...request.result, updatedAt: now });
+    };
+  });
+}
+
+export function getSegment(jobId, index) {
+  return transact(SEGMENT_STORE, 'readonly', tx => tx.objectStore(SEGMENT_STORE).get([jobId, index]));
+}
+
+export function deleteJob(id) {
+  lastTouched.delete(id);
+  return transact([JOB_STORE, SEGMENT_STORE], 'readwrite', tx => {
+    tx.objectStore(JOB_STORE).delete(id);
+    tx.objectStore(SEGMENT_STORE).delete(segmentRange(id));
+  });
+}
+
+/**
+ * Deletes jobs (and their segments) that haven't made progress for `maxAge` ms.
+ */
+export async function removeAbandonedJobs(maxAge = ABANDONED_JOB_AGE) {
+  const now = Date.now();
+  const jobs = await listJobs();
+  for (const job of jobs) {
+    if (now - (job.updatedAt || 0) > maxAge) {
+      await deleteJob(job.id);
+    }
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Result Exporters
+ * Turns a list of scan results into files other tools read: JSON, CSV, an M3U playlist,
+ * an aria2 input file and a yt-dlp batch file.
+ * Exports carry the request headers recorded for each result (Referer, Cookie, ...), so the
+ * media can be fetched outside the browser; they should be kept like any other credential.
+ */
+
+export const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { value: 'm3u', label: 'M3U playlist', extension: 'm3u', mimeType: 'audio/x-mpegurl' },
+  { value: 'aria2', label: 'aria2 input file', extension: 'txt', mimeType: 'text/plain' },
+  { value: 'ytdlp', label: 'yt-dlp batch file', extension: 'txt', mimeType: 'text/plain' }
+];
+
+// Choices made in the popup or side panel, not facts about the media
+const VIEW_STATE_KEYS = [
+  'selectedRendition', 'selectedAudio', 'selectedContainer', 'selectedLimit', 'selectedSubtitleFormat',
+  'selectedTool', 'clipStart', 'clipEnd', 'subtitleOffset', 'tabId', 'frameId'
+];
+
+const CSV_COLUMNS = [
+  'url', 'type', 'title', 'source', 'tagName', 'contentType', 'size', 'duration',
+  'hlsType', 'dashType', 'isLive', 'language', 'frameUrl'
+];
+
+/**
+ * Renders results in one of EXPORT_FORMATS.
+ * context: { pageUrl, pageTitle, getFilename(item) }; getFilename names files for aria2.
+ */
+export function exportResults(items, format, context = {}) {
+  switch (format) {
+    case 'json': return toJson(items, context);
+    case 'csv': return toCsv(items);
+    case 'm3u': return toM3u(items, context);
+    case 'aria2': return toAria2Input(items, context);
+    case 'ytdlp': return toYtDlpBatch(items, context);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Returns the file name of an export, e.g. "mediavue-example.com-2026-01-31.csv".
+ */
+export function getExportFilename(format, pageUrl, now = new Date()) {
+  const { extension } = EXPORT_FORMATS.find(f => f.value === format);
+  let host = 'results';
+  try {
+    host = new URL(pageUrl).hostname.replace(/^www\./, '') || host;
+  } catch (e) {
+    // Keep the generic name
+  }
+  const date = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const suffix = format === 'aria2' || format === 'ytdlp' ? `-${format}` : '';
+  return `mediavue-${host}-${date}${suffix}.${extension}`;
+}
+
+/**
+ * Every field the scan found (type, source, tagName, size, duration, hlsType, variants, ...).
+ */
+export function toJson(items, { pageUrl, pageTitle } = {}) {
+  const results = items.map(item => Object.fromEntries(
+    Object.entries(item).filter(([key]) => !VIEW_STATE_KEYS.includes(key))
+  ));
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    page: { url: pageUrl || null, title: pageTitle || null },
+    results
+  }, null, 2) + '\n';
+}
+
+/**
+ * One row per result with the flat fields; nested data (variants, headers) is left to JSON.
+ */
+export function toCsv(items) {
+  const rows = items.map(item => CSV_COLUMNS.map(column => formatCsvField(item[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Extended M3U with titles and durations. Only playable results (video, audio, streams) are listed.
+ */
+export function toM3u(items, { pageTitle } = {}) {
+  const lines = ['#EXTM3U'];
+  items.filter(item => isFetchable(item) && item.type !== 'subtitle').forEach(item => {
+    const duration = item.duration > 0 && !item.isLive ? Math.round(item.duration) : -1;
+    lines.push(`#EXTINF:${duration},${oneLine(item.title || pageTitle || getBaseName(item.url))}`, item.url);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * aria2 input file: each URL followed by indented header= and out= options.
+ * aria2 fetches single files only, so stream manifests are left out (see the yt-dlp batch).
+ */
+export function toAria2Input(items, { getFilename } = {}) {
+  const entries = items
+    .filter(item => isFetchable(item) && item.type !== 'streaming' && !item.subtitleFormat)
+    .map(item => {
+      const lines = [item.url];
+      Object.entries(item.requestHeaders || {}).forEach(([header, value]) => {
+        lines.push(`  header=${header}: ${oneLine(value)}`);
+      });
+      if (getFilename) lines.push(`  out=${getFilename(item)}`);
+      return lines.join('\n');
+    });
+  return entries.join('\n') + (entries.length > 0 ? '\n' : '');
+}
+
+/**
+ * yt-dlp batch file (--batch-file): one URL per line, each preceded by a comment with its title.
+ * Batch files can't carry headers; pass --referer / --add-header to yt-dlp where a site needs them.
+ */
+export function toYtDlpBatch(items, { pageTitle } = {}) {
+  const lines = [];
+  items.filter(isFetchable).forEach(item => {
+    lines.push(`# ${oneLine(item.title || pageTitle || item.type)}`, item.url);
+  });
+  return lines.join('\n') + (lines.length > 0 ? '\n' : '');
+}
+
+// Source buffers, blob: and data: URLs only exist inside the page
+function isFetchable(item) {
+  return item.source !== 'mse' && /^https?:/i.test(item.url);
+}
+
+function formatCsvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Spreadsheets run fields starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function oneLine(text) {
+  return String(text).replace(/[\r\n]+/g, ' ').trim();
+}
+
+function getBaseName(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+  } catch (e) {
+    return url;
+  }
+}
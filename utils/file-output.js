@@ -0,0 +1,190 @@
+/**
+ * File Output Utility
+ * Hands assembled media over to the browser as a regular file download.
+ * Long downloads are streamed into a disk-backed file in the origin private file system
+ * (OPFS) so memory use stays flat no matter how big the output gets.
+ */
+
+const OUTPUT_DIR = 'mediavue-downloads';
+const STALE_OUTPUT_AGE = 6 * 60 * 60 * 1000; // 6 hours
+
+/**
+ * Saves a blob as a file download and resolves once Chrome has finished writing it.
+ */
+export async function saveBlob(blob, filename) {
+  await downloadAndRelease(blob, filename, () => {});
+}
+
+/**
+ * Creates a writable output sink. Chunks are written to OPFS as they arrive;
+ * when OPFS is unavailable the sink falls back to collecting chunks in memory.
+ * Sink API: write(chunk), writeAt(position, chunk), save(filename, mimeType), discard(), size.
+ */
+export async function createOutputSink() {
+  try {
+    return await createDiskSink();
+  } catch (e) {
+    console.warn('OPFS unavailable, buffering download in memory:', e);
+    return createMemorySink();
+  }
+}
+
+async function createDiskSink() {
+  const root = await navigator.storage.getDirectory();
+  const dir = await root.getDirectoryHandle(OUTPUT_DIR, { create: true });
+  await removeStaleOutputs(dir);
+
+  const entryName = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+  const handle = await dir.getFileHandle(entryName, { create: true });
+  const writable = await handle.createWritable();
+  let position = 0;
+  let size = 0;
+
+  return {
+    get size() {
+      return size;
+    },
+
+    async write(chunk) {
+      await writable.write({ type: 'write', position, data: chunk });
+      position += chunk.byteLength;
+      size = Math.max(size, position);
+    },
+
+    async writeAt(offset, chunk) {
+      await writable.write({ type: 'write', position: offset, data: chunk });
+      size = Math.max(size, offset + chunk.byteLength);
+    },
+
+    async save(filename, mimeType) {
+      await writable.close();
+      const file = await handle.getFile();
+      // Slicing a disk-backed File doesn't copy it into memory
+      const blob = file.slice(0, file.size, mimeType);
+      await downloadAndRelease(blob, filename, () => dir.removeEntry(entryName).catch(() => {}));
+    },
+
+    async discard() {
+      await writable.abort().catch(() => {});
+      await dir.removeEntry(entryName).catch(() => {});
+    }
+  };
+}
+
+function createMemorySink() {
+  const chunks = [];
+  const patches = [];
+  let size = 0;
+
+  return {
+    get size() {
+      return size;
+    },
+
+    async write(chunk) {
+      chunks.push(chunk);
+      size += chunk.byteLength;
+    },
+
+    async writeAt(offset, chunk) {
+      patches.push({ offset, chunk: new Uint8Array(chunk) });
+    },
+
+    async save(filename, mimeType) {
+      // Patches (e.g. a rewritten MP4 header) are applied to the chunks they overlap
+      let start = 0;
+      const parts = chunks.map(chunk => {
+        let bytes = new Uint8Array(chunk.buffer || chunk, chunk.byteOffset || 0, chunk.byteLength);
+        const end = start + bytes.length;
+        patches.forEach(({ offset, chunk: patch }) => {
+          if (offset >= end || offset + patch.length <= start) return;
+          bytes = bytes.slice();
+          const from = Math.max(offset, start);
+          const to = Math.min(offset + patch.length, end);
+          bytes.set(patch.subarray(from - offset, to - offset), from - start);
+        });
+        start = end;
+        return bytes;
+      });
+      await saveBlob(new Blob(parts, { type: mimeType }), filename);
+    },
+
+    async discard() {
+      chunks.length = 0;
+    }
+  };
+}
+
+// The blob URL (and OPFS entry) must stay alive until Chrome has copied the file
+async function downloadAndRelease(blob, filename, release) {
+  const blobUrl = URL.createObjectURL(blob);
+  try {
+    if (chrome.downloads) {
+      await downloadAndWait(blobUrl, filename);
+    } else {
+      // Offscreen documents have no chrome.downloads; background.js saves the file for us
+      const response = await chrome.runtime.sendMessage({ action: 'save_file', url: blobUrl, filename, wait: true });
+      if (response?.error) throw new Error(response.error);
+    }
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+    release();
+  }
+}
+
+/**
+ * Starts a chrome.downloads download and resolves with its ID once it completes.
+ * Rejects when the download is interrupted. conflictAction is 'uniquify', 'overwrite' or 'prompt'.
+ */
+export async function downloadAndWait(url, filename, conflictAction = 'uniquify') {
+  // Small files can finish before download() resolves, so the listener is added first and
+  // final states seen before the ID is known are kept for it
+  const finishedStates = new Map();
+  let settle = null;
+  const listener = (delta) => {
+    const state = delta.state?.current;
+    if (state !== 'complete' && state !== 'interrupted') return;
+    if (settle) {
+      settle(delta.id, state);
+    } else {
+      finishedStates.set(delta.id, state);
+    }
+  };
+  chrome.downloads.onChanged.addListener(listener);
+
+  let downloadId;
+  try {
+    downloadId = await chrome.downloads.download({
+      url,
+      filename,
+      conflictAction
+    });
+  } catch (e) {
+    chrome.downloads.onChanged.removeListener(listener);
+    throw e;
+  }
+
+  return new Promise((resolve, reject) => {
+    settle = (id, state) => {
+      if (id !== downloadId) return;
+      chrome.downloads.onChanged.removeListener(listener);
+      if (state === 'complete') {
+        resolve(downloadId);
+      } else {
+        reject(new Error(`Saving ${filename} was interrupted`));
+      }
+    };
+    if (finishedStates.has(downloadId)) settle(downloadId, finishedStates.get(downloadId));
+  });
+}
+
+// Outputs left behind when a page closed mid-save are removed on the next download
+async function removeStaleOutputs(dir) {
+  const now = Date.now();
+  for await (const [name] of dir.entries()) {
+    const createdAt = parseInt(name.split('-')[0], 10);
+    if (createdAt && now - createdAt > STALE_OUTPUT_AGE) {
+      await dir.removeEntry(name).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Filename Templates
+ * Builds download paths from a user template such as "{site}/{title} [{resolution}] {date}.{ext}".
+ * Slashes in the template become subfolders of the downloads directory; values are sanitised
+ * so they can't add folders of their own, and any script (CJK, Cyrillic, emoji, ...) survives.
+ */
+
+export const DEFAULT_FILENAME_TEMPLATE = '{name}.{ext}';
+
+export const FILENAME_VARIABLES = {
+  name: 'File name from the URL (the page title when the URL name is generic)',
+  title: 'Media title, or the page title',
+  site: 'Website the media was found on',
+  type: 'video, audio, streaming or subtitle',
+  resolution: 'Chosen quality, e.g. 1080p',
+  language: 'Subtitle language',
+  date: 'Download date (YYYY-MM-DD)',
+  time: 'Download time (HH-MM-SS)',
+  ext: 'File extension'
+};
+
+// URL file names that say nothing about the media
+const GENERIC_NAMES = ['master', 'index', 'playlist', 'stream', 'chunk', 'manifest', 'video', 'media'];
+const DEFAULT_EXTENSIONS = { video: 'mp4', streaming: 'mp4', audio: 'mp3', subtitle: 'vtt' };
+const MAX_SEGMENT_LENGTH = 100; // characters per folder or file name
+// Device names Windows refuses as file names, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+// Stands in for a variable with no value until tidySegment has removed what surrounds it
+const EMPTY_VALUE = '\u0000';
+
+/**
+ * Collects the template values for a scan result.
+ * context: { pageUrl, pageTitle, resolution, now }
+ */
+export function getFilenameValues(item, { pageUrl, pageTitle, resolution, now = new Date() } = {}) {
+  const url = parseUrl(item.manifestUrl || item.url);
+  // blob: and data: URLs have no meaningful file name
+  const baseName = url && /^https?:$/.test(url.protocol) ? decodeSafely(url.pathname.split('/').pop() || '') : '';
+  const stem = baseName.replace(/\.[^.]+$/, '');
+  const urlExtension = baseName.includes('.') ? baseName.split('.').pop().toLowerCase() : '';
+  const isGeneric = !stem || stem.length < 3 || GENERIC_NAMES.includes(stem.toLowerCase());
+  const site = parseUrl(pageUrl) || url;
+  const pad = n => String(n).padStart(2, '0');
+
+  return {
+    name: isGeneric ? (item.title || pageTitle || stem || 'media') : stem,
+    title: item.title || pageTitle || stem || 'media',
+    site: site ? site.hostname.replace(/^www\./, '') : '',
+    type: item.type || '',
+    resolution: resolution || '',
+    language: item.language || '',
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+    ext: /^[a-z0-9]{1,5}$/.test(urlExtension) ? urlExtension : DEFAULT_EXTENSIONS[item.type] || 'bin'
+  };
+}
+
+/**
+ * Renders a template into a relative download path ("folder/name.ext").
+ * With withExtension false a trailing ".{ext}" is left out, for stream downloads that add
+ * the extension once they know the output format.
+ */
+export function renderFilename(template, values, { withExtension = true } = {}) {
+  let pattern = (template || DEFAULT_FILENAME_TEMPLATE).trim();
+  if (!withExtension) pattern = pattern.replace(/\.\{ext\}$/, '');
+
+  const segments = pattern
+    .split(/[/\\]+/)
+    .map(segment => segment.replace(/\{(\w+)\}/g, (match, key) => {
+      if (!(key in values)) return match;
+      return String(values[key]).replace(/[/\\]/g, '-') || EMPTY_VALUE;
+    }))
+    .map(tidySegment)
+    .filter(Boolean);
+
+  // A template that rendered to nothing still has to name the file
+  if (segments.length === 0) segments.push('media' + (withExtension && values.ext ? `.${values.ext}` : ''));
+  return segments.join('/');
+}
+
+/**
+ * Makes a folder or file name safe on every platform: removes characters Windows and Chrome
+ * refuse, control and bidi-override characters, leading and trailing dots and spaces, and
+ * shortens it without splitting characters.
+ */
+export function sanitizePathSegment(text) {
+  let segment = String(text)
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f\u202a-\u202e\u2066-\u2069<>:"/\\|?*]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.~]+|[\s.]+$/g, '');
+
+  const characters = Array.from(segment);
+  if (characters.length > MAX_SEGMENT_LENGTH) {
+    // Keep the extension when shortening a file name
+    const extension = /\.[^.\s]{1,5}$/.exec(segment)?.[0] || '';
+    segment = characters.slice(0, MAX_SEGMENT_LENGTH - extension.length).join('').trimEnd() + extension;
+  }
+  if (RESERVED_NAMES.test(segment)) segment = `_${segment}`;
+  return segment;
+}
+
+/**
+ * Returns path, or "name (2).ext", "name (3).ext", ... when the path is already in taken,
+ * and adds the result to taken. Used so files of one batch don't collide with each other.
+ * Pass hasExtension false for stream names, whose extension is added later.
+ */
+export function uniquifyFilename(path, taken, { hasExtension = true } = {}) {
+  let candidate = path;
+  const match = hasExtension ? /^(.*?)(\.[^./]+)?$/.exec(path) : [path, path, ''];
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${match[1]} (${n})${match[2] || ''}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Returns the height ("1080p") of the chosen HLS variant or DASH representation, or ''.
+ */
+export function getResolutionLabel(item, renditionValue) {
+  const variant = (item.variants || []).find(v => v.uri === renditionValue);
+  if (variant?.resolution) return `${variant.resolution.height}p`;
+  const rep = (item.representations || []).find(r => r.id === renditionValue);
+  if (rep?.height) return `${rep.height}p`;
+  return '';
+}
+
+// Drops what empty values leave behind ("[]", "()", a separator on either side) before
+// sanitising; separators and brackets written around values that are present stay as they are
+function tidySegment(segment) {
+  let tidied = segment.replace(/\[\s*\u0000\s*\]|\(\s*\u0000\s*\)/g, EMPTY_VALUE);
+  // One value at a time, so "a - {x} - {y} - b" with neither x nor y still keeps one " - "
+  const emptyWithSeparators = /(\s*[-_])?\s*\u0000\s*([-_]\s*)?/;
+  while (tidied.includes(EMPTY_VALUE)) {
+    tidied = tidied.replace(emptyWithSeparators, (match, before, after) => (before && after ? `${before} ` : ' '));
+  }
+  return sanitizePathSegment(tidied
+    .replace(/\s+\./g, '.')
+    // A separator left just before the extension, e.g. "{title}-{language}.{ext}"
+    .replace(/[\s\-_]+(\.[^.\s]+)$/, '$1')
+    // ".mp4" alone would become a file named "mp4"
+    .replace(/^\.(?=[^.])/, 'media.'));
+}
+
+function parseUrl(url) {
+  try {
+    return url ? new URL(url) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function decodeSafely(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+}
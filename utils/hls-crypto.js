@@ -0,0 +1,67 @@
+/**
+ * HLS Decryption Utility
+ * Decrypts AES-128 (full segment, CBC) encrypted HLS segments with WebCrypto.
+ */
+
+import { fetchWithRetry } from './segment-scheduler.js';
+
+/**
+ * Keys are fetched once per URI and reused across segments, even when the
+ * playlist rotates between a handful of keys.
+ */
+export function createKeyCache() {
+  return new Map();
+}
+
+export async function getDecryptionKey(keyUri, cache, signal) {
+  if (cache.has(keyUri)) return cache.get(keyUri);
+
+  const pending = (async () => {
+    const raw = await fetchWithRetry(keyUri, { signal }, {
+      label: 'decryption key',
+      readBody: response => response.arrayBuffer()
+    });
+    if (raw.byteLength !== 16) throw new Error('Invalid AES-128 key length');
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-CBC' }, false, ['decrypt']);
+  })();
+
+  cache.set(keyUri, pending);
+  try {
+    return await pending;
+  } catch (e) {
+    // Don't cache failures so a retry can fetch the key again
+    cache.delete(keyUri);
+    throw e;
+  }
+}
+
+/**
+ * Returns the 16-byte IV for a segment: the explicit IV attribute if present,
+ * otherwise the media sequence number as a big-endian 128-bit integer.
+ */
+export function getSegmentIv(key, sequence) {
+  const iv = new Uint8Array(16);
+
+  if (key.iv) {
+    const hex = key.iv.replace(/^0x/i, '').padStart(32, '0');
+    for (let i = 0; i < 16; i++) {
+      iv[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return iv;
+  }
+
+  const view = new DataView(iv.buffer);
+  view.setUint32(8, Math.floor(sequence / 0x100000000));
+  view.setUint32(12, sequence >>> 0);
+  return iv;
+}
+
+export async function decryptSegment(data, key, sequence, cache, signal) {
+  if (key.method !== 'AES-128') {
+    throw new Error(`Unsupported encryption method: ${key.method}`);
+  }
+  if (!key.uri) throw new Error('Encrypted segment has no key URI');
+
+  const cryptoKey = await getDecryptionKey(key.uri, cache, signal);
+  return crypto.subtle.decrypt({ name: 'AES-CBC', iv: getSegmentIv(key, sequence) }, cryptoKey, data);
+}
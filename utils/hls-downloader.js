@@ -1,9 +1,57 @@
 /**
  * HLS Downloader Utility
- * Fetches and joins MPEG-TS segments into a single file.
+ * Fetches, decrypts (AES-128) and joins MPEG-TS or fMP4 segments into a single file.
+ * MPEG-TS streams are remuxed to MP4 in the browser unless TS output is requested.
+ * Segments are written to disk as they arrive, so stream length doesn't affect memory use.
  */
 
-export async function downloadHlsStream(url, filename, onProgress, signal) {
+import { createOutputSink } from './file-output.js';
+import {
+  parseMasterPlaylist,
+  parseMediaPlaylist,
+  pickVariant,
+  pickAudioRendition,
+  isFragmentedMp4Playlist,
+  selectSegmentRange
+} from './hls-parser.js';
+import { createKeyCache, decryptSegment } from './hls-crypto.js';
+import { TsTransmuxer } from './ts-transmuxer.js';
+import { runInOrder, fetchWithRetry, createThroughputMeter, DEFAULT_CONCURRENCY } from './segment-scheduler.js';
+import {
+  getJob, saveJob, saveSegment, getSegment, getCompletedSegments, deleteJob, removeAbandonedJobs
+} from './download-store.js';
+
+const PACKED_AUDIO_TYPES = {
+  '.aac': 'audio/aac',
+  '.ac3': 'audio/ac3',
+  '.ec3': 'audio/eac3',
+  '.mp3': 'audio/mpeg'
+};
+
+/**
+ * Downloads an HLS stream.
+ * options.variantUri selects a rendition explicitly; otherwise options.preference
+ * ('highest', 'lowest', '720p', ...) decides which variant of a master playlist is used.
+ * options.container is 'mp4' (default) or 'ts' and only applies to MPEG-TS playlists.
+ * options.concurrency sets how many segments are fetched at once.
+ * options.clip = { start, end } (seconds) limits the download to the segments covering that range.
+ * options.audioName picks the audio rendition (#EXT-X-MEDIA NAME) when the variant references an
+ * AUDIO group; its language or the group's DEFAULT is used otherwise.
+ * onProgress(completed, total, { bytes, speed, eta, duration, clip }) is called as segments arrive.
+ * Resolves with { clip, files, muxFiles }: the exact boundaries of the saved range (null for the
+ * whole stream) and the saved file names. A separate audio rendition is muxed into the video file
+ * when both are MPEG-TS and MP4 output is used; otherwise it is saved next to it and muxFiles
+ * holds the [video, audio] pair for an FFmpeg command that joins the two.
+ *
+ * Finished segments are kept in IndexedDB under the stream URL until the file is saved,
+ * so calling this again for the same stream and rendition resumes where it stopped.
+ *
+ * Live playlists (no #EXT-X-ENDLIST) are recorded when options.record is set: the playlist is
+ * polled for new segments until options.stopSignal fires, the stream ends, or options.maxDuration
+ * seconds have been recorded. The recording is then saved; aborting `signal` discards it.
+ * total is null while recording.
+ */
+export async function downloadHlsStream(url, filename, onProgress, signal, options = {}) {
   try {
     // 1. Fetch the manifest
     let currentUrl = url;
@@ -12,23 +60,17 @@ export async function downloadHlsStream(url, filename, onProgress, signal) {
     let text = await response.text();
 
     // 2. Handle Master Playlist
+    let variant = null;
+    let audioRendition = null;
     if (text.includes('#EXT-X-STREAM-INF')) {
-      const lines = text.split('\n');
-      let streamPath = null;
-      for (let i = 0; i < lines.length; i++) {
-        if (lines[i].startsWith('#EXT-X-STREAM-INF')) {
-          for (let j = i + 1; j < lines.length; j++) {
-            if (lines[j].trim() && !lines[j].startsWith('#')) {
-              streamPath = lines[j].trim();
-              break;
-            }
-          }
-          if (streamPath) break;
-        }
-      }
+      const { variants, media } = parseMasterPlaylist(text, currentUrl);
+      variant = variants.find(v => v.uri === options.variantUri)
+        || pickVariant(variants, options.preference);
       
-      if (streamPath) {
-        currentUrl = new URL(streamPath, currentUrl).href;
+      if (variant) {
+        // Audio from a separate #EXT-X-MEDIA group, when the variant references one
+        audioRendition = pickAudioRendition(media, variant, options.audioName);
+        currentUrl = variant.uri;
         response = await fetch(currentUrl, { signal });
         if (!response.ok) throw new Error('Failed to fetch media playlist');
         text = await response.text();
@@ -38,53 +80,393 @@ export async function downloadHlsStream(url, filename, onProgress, signal) {
     }
 
     // 3. Extract segments
-    const lines = text.split('\n');
-    const segmentUrls = [];
-    for (const line of lines) {
-      if (line.trim() && !line.startsWith('#')) {
-        try {
-          segmentUrls.push(new URL(line.trim(), currentUrl).href);
-        } catch (e) {
-          console.error('Invalid segment URL:', line);
-        }
+    const playlist = parseMediaPlaylist(text, currentUrl);
+
+    if (playlist.segments.length === 0) throw new Error('No segments found in manifest');
+
+    const isFmp4 = isFragmentedMp4Playlist(playlist);
+    const isRecording = Boolean(options.record) && !playlist.endList;
+
+    // Every track source runs through the same pipeline; segments are tagged with their source
+    const sources = [{ name: 'main', url: currentUrl, playlist }];
+    if (audioRendition) {
+      const audioResponse = await fetchWithRetry(audioRendition.uri, { signal }, { label: 'audio playlist' });
+      const audioPlaylist = parseMediaPlaylist(await audioResponse.text(), audioRendition.uri);
+      if (audioPlaylist.segments.length > 0) {
+        sources.push({ name: 'audio', url: audioRendition.uri, playlist: audioPlaylist });
       }
     }
 
-    if (segmentUrls.length === 0) throw new Error('No segments found in manifest');
+    // Optional time range: only the segments covering it are fetched
+    let clip = null;
+    sources.forEach(source => {
+      source.segments = source.playlist.segments;
+      source.segments.forEach(segment => { segment.source = source.name; });
+      if (!options.clip || isRecording) return;
 
-    // 3. Download segments
-    const segments = [];
-    const total = segmentUrls.length;
-    
-    for (let i = 0; i < segmentUrls.length; i++) {
-      if (signal?.aborted) throw new Error('Download aborted');
-      if (onProgress) onProgress(i, total);
-      
-      const segRes = await fetch(segmentUrls[i], { signal });
-      if (!segRes.ok) throw new Error(`Failed to fetch segment ${i}`);
-      const buffer = await segRes.arrayBuffer();
-      segments.push(buffer);
+      const range = selectSegmentRange(source.segments, options.clip.start || 0, options.clip.end ?? Infinity);
+      if (source.name === 'main') {
+        if (range.segments.length === 0) throw new Error('Clip range is outside the stream');
+        clip = { start: range.start, end: range.end };
+      }
+      source.segments = range.segments;
+    });
+
+    const segmentList = sources.flatMap(source => source.segments);
+    const total = isRecording ? null : segmentList.length;
+
+    // 4. Pick up segments saved by an earlier, interrupted attempt (a recording can't be resumed)
+    const job = isRecording ? null : await openJob(url, {
+      playlistUrl: currentUrl,
+      variantUri: variant?.uri || null,
+      audioUri: sources[1]?.url || null,
+      container: options.container || 'mp4',
+      clip,
+      filename,
+      total
+    });
+    const storedSegments = job ? await getCompletedSegments(job.id).catch(() => new Set()) : new Set();
+
+    // 5. Download (and decrypt) segments in parallel, writing them out in playlist order
+    const outputs = await createOutputs(sources, {
+      variant,
+      isFmp4,
+      remux: options.container !== 'ts'
+    });
+    const keyCache = createKeyCache();
+    const meter = createThroughputMeter(total);
+    let recordedDuration = 0;
+
+    const reportProgress = () => {
+      if (onProgress) onProgress(meter.completed, total, { ...meter.getStats(), duration: recordedDuration, clip });
+    };
+
+    const fetchSegment = async (i, taskSignal) => {
+      const stored = storedSegments.has(i) ? await getSegment(job.id, i).catch(() => null) : null;
+      if (stored) {
+        meter.skip();
+        return stored;
+      }
+
+      const segment = segmentList[i];
+      let buffer = await fetchResource(segment.uri, segment.byteRange, taskSignal, `segment ${i}`);
+      meter.add(buffer.byteLength);
+
+      if (segment.key) {
+        buffer = await decryptSegment(buffer, segment.key, segment.sequence, keyCache, taskSignal);
+      }
+      if (job) {
+        // Losing resumability (e.g. storage quota) shouldn't fail the download itself
+        await saveSegment(job.id, i, buffer).catch(e => console.warn('Could not store segment for resume:', e));
+      }
+      return buffer;
+    };
+
+    const writeSegment = async (buffer, i) => {
+      const segment = segmentList[i];
+      const output = outputs[segment.source];
+      if (segment.source === 'main') recordedDuration += segment.duration;
+      reportProgress();
+
+      // fMP4: the init section goes in front of the first fragment and again whenever it changes
+      if (segment.map && !isSameMap(segment.map, output.currentMap)) {
+        let init = await fetchResource(segment.map.uri, segment.map.byteRange, signal, 'init section');
+        if (segment.map.key) {
+          init = await decryptSegment(init, segment.map.key, segment.sequence, keyCache, signal);
+        }
+        if (!output.firstInitSection) output.firstInitSection = init;
+        await output.sink.write(init);
+        output.currentMap = segment.map;
+      }
+
+      if (!output.transmuxer) {
+        await output.sink.write(buffer);
+        return;
+      }
+
+      const chunks = output.transmuxer.push(buffer, segment.source);
+      if (!output.checkedSources.has(segment.source)) {
+        output.checkedSources.add(segment.source);
+        if (!output.transmuxer.isSupported(segment.source)) {
+          // Another rendition already shares this file, so there is no TS to fall back to
+          if (output.isShared) throw new Error('Stream codecs are not supported for MP4 remux, save as TS instead');
+          // Unknown codecs: keep the original transport stream instead
+          console.warn('HLS stream codecs not supported for MP4 remux, saving as TS');
+          output.transmuxer = null;
+          await output.sink.write(buffer);
+          return;
+        }
+      }
+      if (!output.headerWritten) {
+        // Reserve room for ftyp + mdat header, rewritten once the mdat size is known
+        await output.sink.write(output.transmuxer.getHeader());
+        output.headerWritten = true;
+      }
+      for (const chunk of chunks) await output.sink.write(chunk);
+    };
+
+    // Runs the segments from `start` to the end of segmentList through the scheduler
+    const processSegments = (start) => runInOrder(
+      segmentList.length - start,
+      (k, taskSignal) => fetchSegment(start + k, taskSignal),
+      (buffer, k) => writeSegment(buffer, start + k),
+      { concurrency: options.concurrency || DEFAULT_CONCURRENCY, signal }
+    );
+
+    const uniqueOutputs = [...new Set(Object.values(outputs))];
+    const files = [];
+
+    try {
+      reportProgress();
+      await processSegments(0);
+
+      if (isRecording) {
+        await recordLiveSegments(sources, segmentList, processSegments, {
+          signal,
+          stopSignal: options.stopSignal,
+          isLimitReached: () => options.maxDuration > 0 && recordedDuration >= options.maxDuration
+        });
+      }
+
+      // 6. Finalize and download
+      for (const output of uniqueOutputs) {
+        files.push(await saveOutput(output, filename));
+      }
+      if (job) await deleteJob(job.id).catch(() => {});
+    } catch (error) {
+      for (const output of uniqueOutputs) await output.sink.discard();
+      // A cancelled download is dropped; other failures stay resumable
+      if (job && signal?.aborted) await deleteJob(job.id).catch(() => {});
+      throw error;
     }
 
-    if (onProgress) onProgress(total, total);
-
-    // 4. Join and download
-    const blob = new Blob(segments, { type: 'video/mp2t' });
-    const blobUrl = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = blobUrl;
-    a.download = filename.endsWith('.ts') ? filename : filename + '.ts';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    
-    // Clean up
-    setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
-    
-    return true;
+    // Separate video and audio files can be joined without re-encoding (see buildMuxCommand)
+    const muxFiles = files.length > 1 ? files.slice(0, 2) : null;
+
+    return { clip, files, muxFiles };
   } catch (error) {
     console.error('HLS Download Error:', error);
     throw error;
   }
 }
+
+/**
+ * Creates the output file for every source. An MPEG-TS video and MPEG-TS audio rendition
+ * are remuxed into a single MP4; any other combination (fMP4, packed audio, TS output)
+ * gets one file per source.
+ */
+async function createOutputs(sources, { variant, isFmp4, remux }) {
+  const audio = sources.find(source => source.name === 'audio');
+  const main = {
+    sink: await createOutputSink(),
+    transmuxer: null,
+    isFmp4,
+    variant,
+    suffix: '',
+    isShared: false,
+    checkedSources: new Set(),
+    currentMap: null,
+    firstInitSection: null,
+    headerWritten: false
+  };
+
+  if (!audio) {
+    if (remux && !isFmp4) main.transmuxer = new TsTransmuxer();
+    return { main };
+  }
+
+  if (remux && !isFmp4 && isTransportStream(audio.playlist)) {
+    main.transmuxer = new TsTransmuxer({ main: ['video'], audio: ['audio'] });
+    main.isShared = true;
+    return { main, audio: main };
+  }
+
+  if (remux && !isFmp4) main.transmuxer = new TsTransmuxer();
+
+  const audioIsFmp4 = isFragmentedMp4Playlist(audio.playlist);
+  const separateAudio = {
+    ...main,
+    sink: await createOutputSink(),
+    transmuxer: remux && isTransportStream(audio.playlist) ? new TsTransmuxer({ audio: ['audio'] }) : null,
+    isFmp4: audioIsFmp4,
+    // The variant's CODECS describe the video rendition; the audio file is typed by its init section
+    variant: null,
+    packedExtension: getPackedAudioExtension(audio.playlist),
+    suffix: '.audio',
+    checkedSources: new Set()
+  };
+  return { main, audio: separateAudio };
+}
+
+// Finishes an output file and saves it; returns the file name used
+async function saveOutput(output, baseName) {
+  let format = output.packedExtension
+    ? { extension: output.packedExtension, mimeType: PACKED_AUDIO_TYPES[output.packedExtension] }
+    : getOutputFormat(output.isFmp4, output.variant, output.firstInitSection);
+
+  if (output.transmuxer) {
+    for (const chunk of output.transmuxer.flush()) await output.sink.write(chunk);
+    if (!output.transmuxer.hasSamples) throw new Error('No playable samples found in stream');
+    // Progressive MP4: the moov index goes last, then the header gets its final mdat size
+    await output.sink.write(output.transmuxer.getMoov());
+    await output.sink.writeAt(0, output.transmuxer.getHeader());
+    format = output.transmuxer.hasVideo
+      ? { extension: '.mp4', mimeType: 'video/mp4' }
+      : { extension: '.m4a', mimeType: 'audio/mp4' };
+  }
+
+  let name = baseName.endsWith(format.extension) ? baseName : baseName + format.extension;
+  if (output.suffix) name = `${stripExtension(baseName)}${output.suffix}${format.extension}`;
+  await output.sink.save(name, format.mimeType);
+  return name;
+}
+
+// Packed audio renditions are raw ADTS/AC-3/MP3 streams rather than transport streams
+function getPackedAudioExtension(playlist) {
+  const match = playlist.segments[0]?.uri.match(/\.(aac|ac3|ec3|mp3)($|\?)/i);
+  return match ? `.${match[1].toLowerCase()}` : null;
+}
+
+function stripExtension(filename) {
+  return filename.replace(/\.(mp4|m4a|ts)$/i, '');
+}
+
+function isTransportStream(playlist) {
+  return !isFragmentedMp4Playlist(playlist) && !getPackedAudioExtension(playlist);
+}
+
+/**
+ * Polls the live media playlists and feeds segments newer than the last one seen to
+ * processSegments until the recording is stopped, the limit is hit or the stream ends.
+ * Segments are identified by media sequence number, so overlapping windows aren't duplicated.
+ */
+async function recordLiveSegments(sources, segmentList, processSegments, { signal, stopSignal, isLimitReached }) {
+  sources.forEach(source => {
+    source.lastSequence = source.segments[source.segments.length - 1]?.sequence ?? -1;
+  });
+  let targetDuration = sources[0].playlist.targetDuration || 6;
+  let hasNewSegments = true;
+
+  while (!stopSignal?.aborted && !isLimitReached()) {
+    // Reload after a target duration, or half of one when the last reload brought nothing new
+    await waitForReload((hasNewSegments ? targetDuration : targetDuration / 2) * 1000, signal, stopSignal);
+    if (stopSignal?.aborted) break;
+
+    const start = segmentList.length;
+    let ended = false;
+    for (const source of sources) {
+      const response = await fetchWithRetry(source.url, { signal }, { label: 'live playlist' });
+      const update = parseMediaPlaylist(await response.text(), source.url);
+      if (source.name === 'main') {
+        targetDuration = update.targetDuration || targetDuration;
+        ended = update.endList;
+      }
+
+      const fresh = update.segments.filter(segment => segment.sequence > source.lastSequence);
+      if (fresh.length === 0) continue;
+      fresh.forEach(segment => { segment.source = source.name; });
+      segmentList.push(...fresh);
+      source.lastSequence = fresh[fresh.length - 1].sequence;
+    }
+
+    hasNewSegments = segmentList.length > start;
+    if (hasNewSegments) await processSegments(start);
+    if (ended) break;
+  }
+}
+
+// Resolves after `ms`, or early when the recording is stopped; rejects when cancelled
+function waitForReload(ms, signal, stopSignal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Download aborted'));
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      stopSignal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const onAbort = () => {
+      clearTimeout(timer);
+      stopSignal?.removeEventListener('abort', done);
+      reject(new Error('Download aborted'));
+    };
+    const timer = setTimeout(done, Math.max(ms, 1000));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    stopSignal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Returns the stored job for this stream, or a fresh one. A stored job is only reused when it
+ * was saving the same media playlist (ignoring query tokens) and range into the same container.
+ * Returns null when IndexedDB is unavailable, in which case the download simply isn't resumable.
+ */
+async function openJob(id, details) {
+  try {
+    removeAbandonedJobs().catch(() => {});
+
+    const existing = await getJob(id);
+    if (existing
+      && stripQuery(existing.playlistUrl) === stripQuery(details.playlistUrl)
+      && existing.container === details.container
+      && stripQuery(existing.audioUri || '') === stripQuery(details.audioUri || '')
+      && JSON.stringify(existing.clip ?? null) === JSON.stringify(details.clip)
+      && existing.total === details.total) {
+      return existing;
+    }
+
+    if (existing) await deleteJob(id);
+    const job = { id, ...details, createdAt: Date.now() };
+    await saveJob(job);
+    return job;
+  } catch (e) {
+    console.warn('Resumable downloads unavailable:', e);
+    return null;
+  }
+}
+
+function stripQuery(url) {
+  return url.split(/[?#]/)[0];
+}
+
+async function fetchResource(uri, byteRange, signal, label = uri) {
+  const headers = byteRange
+    ? { Range: `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` }
+    : undefined;
+  return fetchWithRetry(uri, { signal, headers }, { label, readBody: response => response.arrayBuffer() });
+}
+
+function isSameMap(a, b) {
+  if (!a || !b) return false;
+  return a.uri === b.uri
+    && a.byteRange?.offset === b.byteRange?.offset
+    && a.byteRange?.length === b.byteRange?.length;
+}
+
+function getOutputFormat(isFmp4, variant, initSection) {
+  if (!isFmp4) return { extension: '.ts', mimeType: 'video/mp2t' };
+  if (isAudioOnly(variant, initSection)) return { extension: '.m4a', mimeType: 'audio/mp4' };
+  return { extension: '.mp4', mimeType: 'video/mp4' };
+}
+
+// Prefer the CODECS attribute of the chosen variant; fall back to the handler types in the init section
+function isAudioOnly(variant, initSection) {
+  if (variant?.codecs) {
+    return variant.codecs.split(',').every(codec => /^(mp4a|ac-3|ec-3|opus|flac|alac)/i.test(codec.trim()));
+  }
+  if (!initSection) return false;
+
+  const handlers = getHandlerTypes(new Uint8Array(initSection));
+  return handlers.includes('soun') && !handlers.includes('vide');
+}
+
+// hdlr box layout: size(4) 'hdlr'(4) version/flags(4) pre_defined(4) handler_type(4)
+function getHandlerTypes(bytes) {
+  const types = [];
+  for (let i = 0; i + 16 <= bytes.length; i++) {
+    if (bytes[i] === 0x68 && bytes[i + 1] === 0x64 && bytes[i + 2] === 0x6c && bytes[i + 3] === 0x72) {
+      types.push(String.fromCharCode(...bytes.subarray(i + 12, i + 16)));
+    }
+  }
+  return types;
+}
@@ -0,0 +1,263 @@
+/**
+ * HLS Playlist Parser
+ * Structured parsing of master playlists so every variant can be offered to the user.
+ */
+
+/**
+ * Parses an attribute list such as BANDWIDTH=1280000,CODECS="avc1.4d401f,mp4a.40.2".
+ * Quoted values may contain commas, so a simple split is not enough.
+ */
+export function parseAttributeList(text) {
+  const attrs = {};
+  const regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    const value = match[2];
+    attrs[match[1]] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+  return attrs;
+}
+
+/**
+ * Parses every #EXT-X-STREAM-INF entry of a master playlist, plus the alternate
+ * renditions declared with #EXT-X-MEDIA. URIs are resolved against the playlist URL.
+ * Variants reference their rendition groups through audioGroup / subtitleGroup.
+ */
+export function parseMasterPlaylist(content, baseUrl) {
+  const lines = content.split('\n').map(line => line.trim());
+  const variants = [];
+  const media = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].startsWith('#EXT-X-MEDIA:')) {
+      const rendition = parseMediaTag(lines[i].substring('#EXT-X-MEDIA:'.length), baseUrl);
+      if (rendition) media.push(rendition);
+      continue;
+    }
+    if (!lines[i].startsWith('#EXT-X-STREAM-INF:')) continue;
+
+    const attrs = parseAttributeList(lines[i].substring('#EXT-X-STREAM-INF:'.length));
+
+    // The next non-comment line is the variant URI
+    let uri = null;
+    for (let j = i + 1; j < lines.length; j++) {
+      if (lines[j] && !lines[j].startsWith('#')) {
+        uri = lines[j];
+        i = j;
+        break;
+      }
+    }
+    if (!uri) continue;
+
+    let resolvedUri;
+    try {
+      resolvedUri = new URL(uri, baseUrl).href;
+    } catch (e) {
+      continue;
+    }
+
+    const [width, height] = (attrs.RESOLUTION || '').split('x').map(n => parseInt(n, 10));
+
+    variants.push({
+      uri: resolvedUri,
+      bandwidth: parseInt(attrs.BANDWIDTH, 10) || 0,
+      averageBandwidth: parseInt(attrs['AVERAGE-BANDWIDTH'], 10) || null,
+      resolution: width && height ? { width, height } : null,
+      codecs: attrs.CODECS || null,
+      frameRate: attrs['FRAME-RATE'] ? parseFloat(attrs['FRAME-RATE']) : null,
+      audioGroup: attrs.AUDIO || null,
+      subtitleGroup: attrs.SUBTITLES || null
+    });
+  }
+
+  return { variants, media };
+}
+
+// #EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="..."
+function parseMediaTag(text, baseUrl) {
+  const attrs = parseAttributeList(text);
+  if (!attrs.TYPE || !attrs['GROUP-ID']) return null;
+
+  let uri = null;
+  if (attrs.URI) {
+    try {
+      uri = new URL(attrs.URI, baseUrl).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    type: attrs.TYPE,
+    groupId: attrs['GROUP-ID'],
+    name: attrs.NAME || attrs.LANGUAGE || attrs['GROUP-ID'],
+    language: attrs.LANGUAGE || null,
+    uri, // null when the rendition is carried inside the variant streams
+    isDefault: attrs.DEFAULT === 'YES',
+    autoselect: attrs.AUTOSELECT === 'YES',
+    channels: attrs.CHANNELS || null
+  };
+}
+
+/**
+ * Returns the audio rendition to download next to a variant, or null when the variant
+ * carries its own audio. A rendition whose NAME matches `name` wins, then one in the same
+ * language, then the group's DEFAULT.
+ */
+export function pickAudioRendition(media, variant, name) {
+  if (!variant?.audioGroup) return null;
+
+  const group = media.filter(m => m.type === 'AUDIO' && m.groupId === variant.audioGroup);
+  const chosen = (name && group.find(m => m.name === name))
+    || (name && group.find(m => m.language && m.language === media.find(o => o.name === name)?.language))
+    || group.find(m => m.isDefault)
+    || group[0];
+
+  return chosen?.uri ? chosen : null;
+}
+
+/**
+ * Chooses a variant according to a preference:
+ * 'highest', 'lowest' or a target height such as '720p' (closest match wins).
+ */
+export function pickVariant(variants, preference = 'highest') {
+  if (!variants || variants.length === 0) return null;
+
+  const byBandwidth = [...variants].sort((a, b) => b.bandwidth - a.bandwidth);
+  if (preference === 'lowest') return byBandwidth[byBandwidth.length - 1];
+
+  const target = parseInt(preference, 10);
+  if (!target) return byBandwidth[0];
+
+  // Variants without RESOLUTION (e.g. audio-only) never win a resolution match
+  const withHeight = byBandwidth.filter(v => v.resolution);
+  if (withHeight.length === 0) return byBandwidth[0];
+
+  return withHeight.reduce((best, v) => {
+    const diff = Math.abs(v.resolution.height - target);
+    const bestDiff = Math.abs(best.resolution.height - target);
+    return diff < bestDiff ? v : best;
+  });
+}
+
+/**
+ * Parses a media playlist into an ordered segment list.
+ * Each segment carries the media sequence number plus the #EXT-X-KEY and
+ * #EXT-X-MAP (fMP4 init section) in effect for it.
+ */
+export function parseMediaPlaylist(content, baseUrl) {
+  const lines = content.split('\n').map(line => line.trim());
+  const playlist = {
+    targetDuration: 0,
+    mediaSequence: 0,
+    endList: false,
+    segments: []
+  };
+
+  let currentKey = null;
+  let currentMap = null;
+  let pendingDuration = 0;
+  let pendingByteRange = null;
+  let pendingDiscontinuity = false;
+  const lastRangeEnd = {};
+  let sequence = 0;
+
+  const resolve = uri => new URL(uri, baseUrl).href;
+
+  for (const line of lines) {
+    if (!line) continue;
+
+    if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseFloat(line.split(':')[1]) || 0;
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = parseInt(line.split(':')[1], 10) || 0;
+      sequence = playlist.mediaSequence;
+    } else if (line.startsWith('#EXT-X-ENDLIST')) {
+      playlist.endList = true;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attrs = parseAttributeList(line.substring('#EXT-X-KEY:'.length));
+      currentKey = attrs.METHOD && attrs.METHOD !== 'NONE'
+        ? { method: attrs.METHOD, uri: attrs.URI ? resolve(attrs.URI) : null, iv: attrs.IV || null }
+        : null;
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attrs = parseAttributeList(line.substring('#EXT-X-MAP:'.length));
+      currentMap = attrs.URI
+        ? { uri: resolve(attrs.URI), byteRange: parseByteRange(attrs.BYTERANGE, 0), key: currentKey }
+        : null;
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      pendingByteRange = line.substring('#EXT-X-BYTERANGE:'.length);
+    } else if (line.startsWith('#EXT-X-DISCONTINUITY') && !line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE')) {
+      pendingDiscontinuity = true;
+    } else if (line.startsWith('#EXTINF:')) {
+      pendingDuration = parseFloat(line.substring('#EXTINF:'.length)) || 0;
+    } else if (!line.startsWith('#')) {
+      let uri;
+      try {
+        uri = resolve(line);
+      } catch (e) {
+        console.error('Invalid segment URL:', line);
+        continue;
+      }
+      // A sub-range without an offset continues where the previous range of the same resource ended
+      const byteRange = parseByteRange(pendingByteRange, lastRangeEnd[uri] || 0);
+      if (byteRange) lastRangeEnd[uri] = byteRange.offset + byteRange.length;
+
+      playlist.segments.push({
+        uri,
+        duration: pendingDuration,
+        sequence,
+        key: currentKey,
+        map: currentMap,
+        byteRange,
+        discontinuity: pendingDiscontinuity
+      });
+      pendingDuration = 0;
+      pendingByteRange = null;
+      pendingDiscontinuity = false;
+      sequence++;
+    }
+  }
+
+  return playlist;
+}
+
+/**
+ * Parses a BYTERANGE value ("<length>[@<offset>]") into { length, offset }.
+ */
+function parseByteRange(value, defaultOffset) {
+  if (!value) return null;
+  const [length, offset] = value.split('@').map(n => parseInt(n, 10));
+  if (!length) return null;
+  return { length, offset: Number.isFinite(offset) ? offset : defaultOffset };
+}
+
+/**
+ * Picks the segments covering [start, end) seconds using their #EXTINF durations.
+ * Segments can't be split, so the returned start/end are the boundaries of the covering
+ * segments and may extend slightly beyond the requested range.
+ */
+export function selectSegmentRange(segments, start = 0, end = Infinity) {
+  const selected = [];
+  let position = 0;
+  let rangeStart = null;
+  let rangeEnd = 0;
+
+  for (const segment of segments) {
+    const segmentEnd = position + segment.duration;
+    if (segmentEnd > start && position < end) {
+      if (rangeStart === null) rangeStart = position;
+      rangeEnd = segmentEnd;
+      selected.push(segment);
+    }
+    position = segmentEnd;
+  }
+
+  return { segments: selected, start: rangeStart ?? 0, end: rangeEnd };
+}
+
+/**
+ * Returns true for CMAF/fMP4 playlists (init section or MP4 fragment segments).
+ */
+export function isFragmentedMp4Playlist(playlist) {
+  return playlist.segments.some(seg => seg.map || /\.(m4s|mp4|m4a|m4v|cmf[va])($|\?)/i.test(seg.uri));
+}
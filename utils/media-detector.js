@@ -1,9 +1,53 @@
-export const MEDIA_PATTERNS = {
-  VIDEO: /\.(mp4|webm|ogv|mov|avi|mkv|flv|m4v)($|\?)/i,
-  AUDIO: /\.(mp3|wav|m4a|aac|ogg|opus|flac|wma)($|\?)/i,
-  STREAMING: /\.(m3u8|mpd)($|\?)/i,
-  SUBTITLES: /\.(vtt|srt|ass|ssa)($|\?)/i
-};
+import { DEFAULT_SETTINGS } from './settings.js';
+
+// Response Content-Types of stream manifests and subtitles (video/* and audio/* are matched by prefix)
+const HLS_CONTENT_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+const DASH_CONTENT_TYPES = ['application/dash+xml'];
+const SUBTITLE_CONTENT_TYPES = ['text/vtt', 'application/x-subrip', 'text/x-ssa', 'text/x-ass'];
+
+// Individual stream segments would flood the results; their manifest is what matters
+const SEGMENT_CONTENT_TYPES = ['video/mp2t', 'video/iso.segment', 'audio/iso.segment'];
+const SEGMENT_URL = /\.(ts|m4s|m4f|cmfv|cmfa)($|\?)/i;
+
+/**
+ * Detection rules built from the user's settings: extension patterns per media type, custom
+ * MIME types and URL ignore patterns. Everything is kept as strings (RegExp sources) so the
+ * same rules can be sent to the content script; compileDetectionRules() turns them into RegExps.
+ */
+export function getDetectionRules(settings) {
+  const pattern = extensions => `\\.(${extensions.map(escapeRegExp).join('|') || '(?!)'})($|\\?)`;
+  return {
+    patterns: {
+      video: pattern(settings.videoExtensions),
+      audio: pattern(settings.audioExtensions),
+      streaming: pattern(settings.streamingExtensions),
+      subtitle: pattern(settings.subtitleExtensions)
+    },
+    extensions: [
+      ...settings.videoExtensions,
+      ...settings.audioExtensions,
+      ...settings.streamingExtensions,
+      ...settings.subtitleExtensions
+    ],
+    mimeTypes: settings.customMimeTypes,
+    // "*" matches anything; a pattern matches anywhere in the URL
+    ignore: settings.ignorePatterns.map(glob => glob.split('*').map(escapeRegExp).join('.*'))
+  };
+}
+
+export function compileDetectionRules(rules) {
+  const patterns = {};
+  Object.entries(rules.patterns).forEach(([type, source]) => {
+    patterns[type] = new RegExp(source, 'i');
+  });
+  return {
+    patterns,
+    mimeTypes: rules.mimeTypes,
+    ignore: rules.ignore.map(source => new RegExp(source, 'i'))
+  };
+}
+
+const DEFAULT_RULES = compileDetectionRules(getDetectionRules(DEFAULT_SETTINGS));
 
 export function getHlsType(content) {
   if (content.includes('#EXT-X-STREAM-INF')) return 'master';
@@ -11,16 +55,56 @@ export function getHlsType(content) {
   return null;
 }
 
-export function getMediaType(url) {
-  if (MEDIA_PATTERNS.VIDEO.test(url)) return 'video';
-  if (MEDIA_PATTERNS.AUDIO.test(url)) return 'audio';
-  if (MEDIA_PATTERNS.STREAMING.test(url)) return 'streaming';
-  if (MEDIA_PATTERNS.SUBTITLES.test(url)) return 'subtitle';
+export function getMediaType(url, rules = DEFAULT_RULES) {
+  if (rules.patterns.video.test(url)) return 'video';
+  if (rules.patterns.audio.test(url)) return 'audio';
+  if (rules.patterns.streaming.test(url)) return 'streaming';
+  if (rules.patterns.subtitle.test(url)) return 'subtitle';
   return 'unknown';
 }
 
-export function isMediaUrl(url) {
-  return getMediaType(url) !== 'unknown';
+export function isMediaUrl(url, rules = DEFAULT_RULES) {
+  return getMediaType(url, rules) !== 'unknown';
+}
+
+/**
+ * True for URLs matching one of the user's ignore patterns (ads, beacons, ...).
+ */
+export function isIgnoredUrl(url, rules = DEFAULT_RULES) {
+  return rules.ignore.some(pattern => pattern.test(url));
+}
+
+/**
+ * Normalizes a Content-Type header to its lowercase MIME type ("Video/MP4; codecs=..." -> "video/mp4").
+ */
+export function parseContentType(header) {
+  return (header || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Classifies a response by its MIME type, for URLs whose extension says nothing
+ * (e.g. /video?id=123). Returns the same types as getMediaType(); the user's custom
+ * MIME types take precedence.
+ */
+export function getMediaTypeFromContentType(contentType, url = '', rules = DEFAULT_RULES) {
+  if (contentType && rules.mimeTypes[contentType]) return rules.mimeTypes[contentType];
+  if (!contentType || SEGMENT_CONTENT_TYPES.includes(contentType) || SEGMENT_URL.test(url)) return 'unknown';
+  if (HLS_CONTENT_TYPES.includes(contentType) || DASH_CONTENT_TYPES.includes(contentType)) return 'streaming';
+  if (SUBTITLE_CONTENT_TYPES.includes(contentType)) return 'subtitle';
+  if (contentType.startsWith('video/')) return 'video';
+  if (contentType.startsWith('audio/')) return 'audio';
+  return 'unknown';
+}
+
+/**
+ * Returns 'hls' or 'dash' for a streaming result, going by its Content-Type when the
+ * network reported one and by the URL otherwise. Returns null for anything else.
+ */
+export function getStreamFormat(item) {
+  if (item.type !== 'streaming') return null;
+  if (HLS_CONTENT_TYPES.includes(item.contentType) || item.url.includes('.m3u8')) return 'hls';
+  if (DASH_CONTENT_TYPES.includes(item.contentType) || item.url.includes('.mpd')) return 'dash';
+  return null;
 }
 
 /**
@@ -37,3 +121,7 @@ export function isProtectedUrl(url) {
     url.startsWith('view-source:')
   );
 }
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
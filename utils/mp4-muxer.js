@@ -0,0 +1,405 @@
+/**
+ * MP4 Muxer
+ * Writes a progressive (non-fragmented) MP4: ftyp, a single mdat with all samples,
+ * and a moov with the sample tables at the end. Samples are handed back as soon as
+ * they are added so the mdat payload can be written out incrementally.
+ */
+
+const MOVIE_TIMESCALE = 1000;
+const SOURCE_TIMESCALE = 90000; // Incoming timestamps are MPEG-TS 90kHz ticks
+const UINT32_MAX = 0xffffffff;
+
+export class Mp4Muxer {
+  constructor() {
+    this.tracks = new Map();
+    this.ftyp = createFtyp();
+    // mdat uses a 64-bit size so files over 4GB work; its header is 16 bytes
+    this.dataOffset = this.ftyp.length + 16;
+  }
+
+  /**
+   * Registers a track from demuxer metadata (codec, dimensions, parameter sets).
+   */
+  addTrack(info) {
+    const timescale = info.kind === 'audio' ? info.sampleRate : SOURCE_TIMESCALE;
+    this.tracks.set(info.id, {
+      info,
+      timescale,
+      dts: [],
+      cts: [],
+      sizes: [],
+      offsets: [],
+      keyframes: []
+    });
+  }
+
+  /**
+   * Records a sample and returns the bytes to append to the mdat payload.
+   */
+  addSample(trackId, sample) {
+    const track = this.tracks.get(trackId);
+    const scale = track.timescale / SOURCE_TIMESCALE;
+    const dts = Math.round(sample.dts * scale);
+    const pts = Math.round(sample.pts * scale);
+
+    track.dts.push(dts);
+    track.cts.push(Math.max(0, pts - dts));
+    track.sizes.push(sample.data.length);
+    track.offsets.push(this.dataOffset);
+    if (sample.isKeyframe) track.keyframes.push(track.dts.length);
+
+    this.dataOffset += sample.data.length;
+    return sample.data;
+  }
+
+  /**
+   * Returns ftyp plus the mdat header sized for everything added so far.
+   */
+  getHeader() {
+    const mdatSize = this.dataOffset - this.ftyp.length;
+    const header = new Uint8Array(this.ftyp.length + 16);
+    header.set(this.ftyp, 0);
+    const view = new DataView(header.buffer);
+    view.setUint32(this.ftyp.length, 1); // size=1 means a 64-bit size follows
+    header.set(fourcc('mdat'), this.ftyp.length + 4);
+    writeUint64(view, this.ftyp.length + 8, mdatSize);
+    return header;
+  }
+
+  /**
+   * Builds the moov box. Call once every sample has been added.
+   */
+  getMoov() {
+    const tracks = [...this.tracks.values()].filter(track => track.dts.length > 0);
+    if (tracks.length === 0) throw new Error('No samples to mux');
+
+    // Tracks are aligned on the earliest presentation time of any track
+    const startTimes = tracks.map(track => (track.dts[0] + track.cts[0]) / track.timescale);
+    const movieStart = Math.min(...startTimes);
+
+    let movieDuration = 0;
+    const traks = tracks.map((track, index) => {
+      const durations = getSampleDurations(track);
+      const mediaDuration = durations.reduce((sum, d) => sum + d, 0);
+      const delay = Math.round((startTimes[index] - movieStart) * MOVIE_TIMESCALE);
+      const trackDuration = Math.round(mediaDuration / track.timescale * MOVIE_TIMESCALE) + delay;
+      movieDuration = Math.max(movieDuration, trackDuration);
+      return createTrak(track, durations, mediaDuration, delay, trackDuration);
+    });
+
+    const nextTrackId = Math.max(...tracks.map(track => track.info.id)) + 1;
+    return box('moov', createMvhd(movieDuration, nextTrackId), ...traks);
+  }
+}
+
+function getSampleDurations(track) {
+  const durations = [];
+  const defaultDuration = track.info.kind === 'audio'
+    ? 1024
+    : Math.round(track.timescale / 30);
+
+  for (let i = 0; i < track.dts.length; i++) {
+    let duration = i + 1 < track.dts.length ? track.dts[i + 1] - track.dts[i] : 0;
+    // Discontinuities can make timestamps jump; reuse the previous cadence instead
+    if (duration <= 0 || duration > track.timescale * 10) {
+      duration = durations.length > 0 ? durations[durations.length - 1] : defaultDuration;
+    }
+    durations.push(duration);
+  }
+  return durations;
+}
+
+// --- Box builders ----------------------------------------------------------
+
+function createFtyp() {
+  return box('ftyp', fourcc('isom'), u32(0x200), fourcc('isom'), fourcc('iso2'), fourcc('avc1'), fourcc('mp41'));
+}
+
+function createMvhd(duration, nextTrackId) {
+  return fullBox('mvhd', 0, 0,
+    u32(0), u32(0), // creation / modification time
+    u32(MOVIE_TIMESCALE),
+    u32(duration),
+    u32(0x00010000), // rate 1.0
+    u16(0x0100), // volume 1.0
+    new Uint8Array(10),
+    matrix(),
+    new Uint8Array(24),
+    u32(nextTrackId)
+  );
+}
+
+function createTrak(track, durations, mediaDuration, delay, trackDuration) {
+  const info = track.info;
+  const isVideo = info.kind === 'video';
+
+  const tkhd = fullBox('tkhd', 0, 3,
+    u32(0), u32(0),
+    u32(info.id),
+    u32(0),
+    u32(trackDuration),
+    new Uint8Array(8),
+    u16(0), u16(0), // layer, alternate group
+    u16(isVideo ? 0 : 0x0100),
+    u16(0),
+    matrix(),
+    u32((isVideo ? info.width || 0 : 0) * 0x10000),
+    u32((isVideo ? info.height || 0 : 0) * 0x10000)
+  );
+
+  // Edit list: an empty edit for late-starting tracks, then skip the initial composition offset
+  const edits = [];
+  if (delay > 0) edits.push([delay, -1]);
+  edits.push([trackDuration - delay, track.cts[0]]);
+  const elst = fullBox('elst', 0, 0, u32(edits.length), ...edits.map(([duration, mediaTime]) =>
+    concat([u32(duration), i32(mediaTime), u32(0x00010000)])
+  ));
+
+  const mdhdVersion = mediaDuration > UINT32_MAX ? 1 : 0;
+  const mdhd = mdhdVersion
+    ? fullBox('mdhd', 1, 0, u64(0), u64(0), u32(track.timescale), u64(mediaDuration), u16(0x55c4), u16(0))
+    : fullBox('mdhd', 0, 0, u32(0), u32(0), u32(track.timescale), u32(mediaDuration), u16(0x55c4), u16(0));
+
+  const hdlr = fullBox('hdlr', 0, 0,
+    u32(0),
+    fourcc(isVideo ? 'vide' : 'soun'),
+    new Uint8Array(12),
+    ascii(isVideo ? 'MediaVue Video\0' : 'MediaVue Audio\0')
+  );
+
+  const mediaHeader = isVideo
+    ? fullBox('vmhd', 0, 1, u16(0), u16(0), u16(0), u16(0))
+    : fullBox('smhd', 0, 0, u16(0), u16(0));
+
+  const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+
+  return box('trak',
+    tkhd,
+    box('edts', elst),
+    box('mdia', mdhd, hdlr, box('minf', mediaHeader, dinf, createStbl(track, durations)))
+  );
+}
+
+function createStbl(track, durations) {
+  const boxes = [
+    fullBox('stsd', 0, 0, u32(1), createSampleEntry(track.info)),
+    fullBox('stts', 0, 0, runLengthTable(durations))
+  ];
+
+  if (track.cts.some(offset => offset !== 0)) {
+    boxes.push(fullBox('ctts', 0, 0, runLengthTable(track.cts)));
+  }
+
+  if (track.info.kind === 'video') {
+    boxes.push(fullBox('stss', 0, 0, countedTable(track.keyframes, 4)));
+  }
+
+  // One sample per chunk keeps the tables simple and interleaving exact
+  boxes.push(fullBox('stsc', 0, 0, u32(1), u32(1), u32(1), u32(1)));
+  boxes.push(fullBox('stsz', 0, 0, u32(0), countedTable(track.sizes, 4)));
+
+  const needs64 = track.offsets[track.offsets.length - 1] > UINT32_MAX;
+  boxes.push(needs64
+    ? fullBox('co64', 0, 0, countedTable(track.offsets, 8))
+    : fullBox('stco', 0, 0, countedTable(track.offsets, 4)));
+
+  return box('stbl', ...boxes);
+}
+
+function runLengthTable(values) {
+  const entries = [];
+  values.forEach(value => {
+    const last = entries[entries.length - 1];
+    if (last && last[1] === value) {
+      last[0]++;
+    } else {
+      entries.push([1, value]);
+    }
+  });
+  return countedTable(entries, 4);
+}
+
+// Entry count followed by the entries, written into one buffer: sample tables have an entry
+// per sample, far too many to pass around as one argument each. An entry is a number or an
+// array of numbers, each stored in fieldSize (4 or 8) bytes
+function countedTable(entries, fieldSize) {
+  const fieldsPerEntry = Array.isArray(entries[0]) ? entries[0].length : 1;
+  const out = new Uint8Array(4 + entries.length * fieldsPerEntry * fieldSize);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, entries.length);
+  let offset = 4;
+  entries.forEach(entry => {
+    (fieldsPerEntry > 1 ? entry : [entry]).forEach(value => {
+      if (fieldSize === 8) {
+        writeUint64(view, offset, value);
+      } else {
+        view.setUint32(offset, value >>> 0);
+      }
+      offset += fieldSize;
+    });
+  });
+  return out;
+}
+
+function createSampleEntry(info) {
+  if (info.kind === 'video') {
+    const config = info.codec === 'hevc' ? createHvcC(info) : createAvcC(info);
+    return box(info.codec === 'hevc' ? 'hvc1' : 'avc1',
+      new Uint8Array(6), u16(1), // reserved, data_reference_index
+      new Uint8Array(16),
+      u16(info.width || 0), u16(info.height || 0),
+      u32(0x00480000), u32(0x00480000), // 72 dpi
+      u32(0),
+      u16(1), // frame count
+      new Uint8Array(32), // compressor name
+      u16(0x0018),
+      u16(0xffff),
+      config
+    );
+  }
+
+  return box('mp4a',
+    new Uint8Array(6), u16(1),
+    new Uint8Array(8),
+    u16(info.channels || 2),
+    u16(16),
+    u32(0),
+    u32((info.sampleRate || 44100) * 0x10000),
+    createEsds(info)
+  );
+}
+
+function createAvcC(info) {
+  return box('avcC',
+    u8(1),
+    u8(info.sps[1]), u8(info.sps[2]), u8(info.sps[3]), // profile, compatibility, level
+    u8(0xff), // 4-byte NAL lengths
+    u8(0xe1), u16(info.sps.length), info.sps,
+    u8(1), u16(info.pps.length), info.pps
+  );
+}
+
+function createHvcC(info) {
+  const arrays = [[32, info.vps], [33, info.sps], [34, info.pps]];
+  return box('hvcC',
+    u8(1),
+    info.profileTierLevel.subarray(0, 1), // profile space, tier, profile idc
+    info.profileTierLevel.subarray(1, 5), // compatibility flags
+    info.profileTierLevel.subarray(5, 11), // constraint flags
+    info.profileTierLevel.subarray(11, 12), // level
+    u16(0xf000), // min_spatial_segmentation_idc
+    u8(0xfc), // parallelismType
+    u8(0xfc | info.chromaFormatIdc),
+    u8(0xf8 | info.bitDepthLumaMinus8),
+    u8(0xf8 | info.bitDepthChromaMinus8),
+    u16(0), // avgFrameRate
+    u8((info.numTemporalLayers << 3) | (info.temporalIdNested << 2) | 0x03),
+    u8(arrays.length),
+    ...arrays.map(([type, nal]) => concat([u8(0x80 | type), u16(1), u16(nal.length), nal]))
+  );
+}
+
+function createEsds(info) {
+  // MPEG-4 AAC (0x40) carries an AudioSpecificConfig; MP3 is signalled by object type only
+  const isAac = info.codec === 'aac';
+  const objectType = isAac ? 0x40 : info.mpegVersion === 1 ? 0x6b : 0x69;
+  const specificInfo = isAac ? descriptor(0x05, info.config) : new Uint8Array(0);
+
+  const decoderConfig = descriptor(0x04, concat([
+    u8(objectType),
+    u8(0x15), // audio stream
+    new Uint8Array(3), // buffer size
+    u32(0), u32(0), // max / avg bitrate
+    specificInfo
+  ]));
+
+  const esDescriptor = descriptor(0x03, concat([
+    u16(info.id),
+    u8(0),
+    decoderConfig,
+    descriptor(0x06, u8(0x02))
+  ]));
+
+  return fullBox('esds', 0, 0, esDescriptor);
+}
+
+function descriptor(tag, payload) {
+  // Sizes use the 4-byte expandable form so they never need to be recomputed
+  const size = payload.length;
+  return concat([
+    u8(tag),
+    u8(0x80 | ((size >> 21) & 0x7f)), u8(0x80 | ((size >> 14) & 0x7f)), u8(0x80 | ((size >> 7) & 0x7f)), u8(size & 0x7f),
+    payload
+  ]);
+}
+
+function matrix() {
+  return concat([0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(u32));
+}
+
+// --- Byte helpers ----------------------------------------------------------
+
+function box(type, ...payloads) {
+  const body = concat(payloads);
+  const out = new Uint8Array(8 + body.length);
+  new DataView(out.buffer).setUint32(0, out.length);
+  out.set(fourcc(type), 4);
+  out.set(body, 8);
+  return out;
+}
+
+function fullBox(type, version, flags, ...payloads) {
+  return box(type, u8(version), u8((flags >> 16) & 0xff), u8((flags >> 8) & 0xff), u8(flags & 0xff), ...payloads);
+}
+
+function concat(parts) {
+  const size = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(size);
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+function fourcc(type) {
+  return ascii(type);
+}
+
+function ascii(text) {
+  return Uint8Array.from(text, c => c.charCodeAt(0));
+}
+
+function u8(value) {
+  return Uint8Array.of(value & 0xff);
+}
+
+function u16(value) {
+  const out = new Uint8Array(2);
+  new DataView(out.buffer).setUint16(0, value);
+  return out;
+}
+
+function u32(value) {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, value >>> 0);
+  return out;
+}
+
+function i32(value) {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setInt32(0, value);
+  return out;
+}
+
+function u64(value) {
+  const out = new Uint8Array(8);
+  writeUint64(new DataView(out.buffer), 0, value);
+  return out;
+}
+
+function writeUint64(view, offset, value) {
+  view.setUint32(offset, Math.floor(value / 0x100000000));
+  view.setUint32(offset + 4, value >>> 0);
+}
@@ -0,0 +1,80 @@
+/**
+ * Rendition Picker
+ * Builds the list of quality and audio track choices shown on HLS and DASH result cards.
+ */
+
+import { pickVariant } from './hls-parser.js';
+
+export const RENDITION_PREFERENCES = [
+  { value: 'highest', label: 'Highest' },
+  { value: '1080p', label: '1080p' },
+  { value: '720p', label: '720p' },
+  { value: '480p', label: '480p' },
+  { value: 'lowest', label: 'Lowest' }
+];
+
+/**
+ * Returns { choices, selected } for a scan result, or null when there is nothing to pick.
+ * Choice values are variant URIs for HLS and representation IDs for DASH.
+ */
+export function getRenditionChoices(item, preference) {
+  let candidates = [];
+
+  if (item.variants && item.variants.length > 0) {
+    candidates = item.variants.map(v => ({ ...v, value: v.uri }));
+  } else if (item.representations) {
+    candidates = item.representations
+      .filter(rep => rep.kind === 'video')
+      .map(rep => ({
+        value: rep.id,
+        bandwidth: rep.bandwidth,
+        resolution: rep.width && rep.height ? { width: rep.width, height: rep.height } : null,
+        codecs: rep.codecs,
+        frameRate: rep.frameRate
+      }));
+  }
+
+  if (candidates.length < 2) return null;
+
+  const sorted = candidates.sort((a, b) => b.bandwidth - a.bandwidth);
+  const selected = pickVariant(sorted, preference);
+
+  return {
+    choices: sorted.map(c => ({ value: c.value, label: formatRenditionLabel(c) })),
+    selected: selected ? selected.value : sorted[0].value
+  };
+}
+
+/**
+ * Returns the alternate audio tracks of an HLS result as { value, label } choices, or null when
+ * there is nothing to pick. Values are rendition NAMEs, which stay the same across the
+ * AUDIO groups of different variants.
+ */
+export function getAudioChoices(item) {
+  const seen = new Set();
+  const choices = [];
+
+  (item.audioRenditions || []).forEach(rendition => {
+    if (seen.has(rendition.name)) return;
+    seen.add(rendition.name);
+    choices.push({ value: rendition.name, label: formatAudioLabel(rendition), isDefault: rendition.isDefault });
+  });
+
+  return choices.length >= 2 ? choices : null;
+}
+
+function formatAudioLabel(rendition) {
+  const parts = [rendition.name || 'Audio'];
+  if (rendition.language && rendition.language !== rendition.name) parts.push(rendition.language);
+  if (rendition.channels) parts.push(`${rendition.channels.split('/')[0]}ch`);
+  return parts.join(' • ');
+}
+
+export function formatRenditionLabel(rendition) {
+  const parts = [];
+  if (rendition.resolution) parts.push(`${rendition.resolution.height}p`);
+  if (rendition.frameRate && rendition.frameRate > 30) parts.push(`${Math.round(rendition.frameRate)}fps`);
+  if (rendition.bandwidth) parts.push(`${(rendition.bandwidth / 1000000).toFixed(1)} Mbps`);
+  if (rendition.codecs) parts.push(rendition.codecs.split(',')[0].split('.')[0]);
+  return parts.join(' • ') || 'Unknown';
+}
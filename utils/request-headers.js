@@ -0,0 +1,122 @@
+/**
+ * Request Headers
+ * Remembers the headers a page sent with its media requests (Referer, Origin, Cookie,
+ * Authorization) so MediaVue's own requests for the same media aren't refused.
+ * fetch() can't set these headers, so they are replayed with declarativeNetRequest session
+ * rules that only match requests the extension itself makes outside any tab. A tab's rules are
+ * removed when the tab closes, or once the last download started from it ends.
+ */
+
+export const REPLAYED_HEADERS = ['Referer', 'Origin', 'Cookie', 'Authorization'];
+
+// Remembered per tab and host; pages talking to more hosts than this keep the most recent ones
+export const MAX_HOSTS_PER_TAB = 50;
+
+const RULES_KEY = 'headerRules'; // chrome.storage.session: { [tabId]: ruleIds }
+const HOLDS_KEY = 'headerHolds'; // chrome.storage.session: { [jobId]: tabId }
+
+let ruleUpdates = Promise.resolve();
+
+/**
+ * Picks the replayable headers out of a webRequest requestHeaders array.
+ * Returns { Referer, Cookie, ... } or null when the request carried none of them.
+ */
+export function pickReplayHeaders(requestHeaders = []) {
+  const picked = {};
+  requestHeaders.forEach(({ name, value }) => {
+    const header = REPLAYED_HEADERS.find(h => h.toLowerCase() === name.toLowerCase());
+    if (header && value) picked[header] = value;
+  });
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+/**
+ * Installs the headers recorded for a tab (Map of host -> headers) as session rules,
+ * replacing the rules installed for that tab before.
+ */
+export function applyReplayHeaders(tabId, hostHeaders) {
+  return queueRuleUpdate(() => replaceTabRules(tabId, existingIds => {
+    let nextId = Math.max(0, ...existingIds) + 1;
+    return [...hostHeaders].map(([host, headers]) => ({
+      id: nextId++,
+      priority: 1,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders: Object.entries(headers).map(([header, value]) => ({ header, operation: 'set', value }))
+      },
+      condition: {
+        requestDomains: [host],
+        // Service workers and other extensions also make requests outside any tab
+        initiatorDomains: [chrome.runtime.id],
+        tabIds: [chrome.tabs.TAB_ID_NONE],
+        resourceTypes: ['xmlhttprequest', 'media', 'other']
+      }
+    }));
+  }));
+}
+
+/**
+ * Removes the rules installed for a closed tab, unless a download started from it still runs;
+ * releaseReplayHeaders removes them when that download ends.
+ */
+export function clearReplayHeaders(tabId) {
+  return queueRuleUpdate(async () => {
+    const { [HOLDS_KEY]: holds = {} } = await chrome.storage.session.get(HOLDS_KEY);
+    if (Object.values(holds).includes(tabId)) return;
+    await replaceTabRules(tabId, () => []);
+  });
+}
+
+/**
+ * Keeps a tab's rules installed while a download job started from it is queued or running.
+ */
+export function holdReplayHeaders(tabId, jobId) {
+  return queueRuleUpdate(async () => {
+    const { [HOLDS_KEY]: holds = {} } = await chrome.storage.session.get(HOLDS_KEY);
+    holds[jobId] = tabId;
+    await chrome.storage.session.set({ [HOLDS_KEY]: holds });
+  });
+}
+
+/**
+ * Ends a job's hold. The tab's rules are removed when the tab has closed meanwhile and no
+ * other job holds them.
+ */
+export function releaseReplayHeaders(jobId) {
+  return queueRuleUpdate(async () => {
+    const { [HOLDS_KEY]: holds = {} } = await chrome.storage.session.get(HOLDS_KEY);
+    if (!(jobId in holds)) return;
+    const tabId = holds[jobId];
+    delete holds[jobId];
+    await chrome.storage.session.set({ [HOLDS_KEY]: holds });
+
+    if (Object.values(holds).includes(tabId)) return;
+    const tabOpen = await chrome.tabs.get(tabId).then(() => true, () => false);
+    if (!tabOpen) await replaceTabRules(tabId, () => []);
+  });
+}
+
+// Rule changes run one at a time so concurrent scans, downloads and tab closes don't race
+function queueRuleUpdate(update) {
+  ruleUpdates = ruleUpdates.catch(() => {}).then(update);
+  return ruleUpdates;
+}
+
+// Rule bookkeeping lives in session storage so it survives the service worker restarting
+async function replaceTabRules(tabId, buildRules) {
+  const { [RULES_KEY]: tabRules = {} } = await chrome.storage.session.get(RULES_KEY);
+  const existing = await chrome.declarativeNetRequest.getSessionRules();
+  const addRules = buildRules(existing.map(rule => rule.id));
+
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: tabRules[tabId] || [],
+    addRules
+  });
+
+  if (addRules.length > 0) {
+    tabRules[tabId] = addRules.map(rule => rule.id);
+  } else {
+    delete tabRules[tabId];
+  }
+  await chrome.storage.session.set({ [RULES_KEY]: tabRules });
+}
@@ -0,0 +1,154 @@
+/**
+ * Segment Scheduler
+ * Fetches stream segments several at a time while handing them back in playlist order,
+ * retrying transient failures with exponential backoff. Also tracks download throughput.
+ */
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_RETRIES = 4;
+
+const BASE_RETRY_DELAY = 500; // ms, doubled after every failed attempt
+const MAX_RETRY_DELAY = 8000;
+const THROUGHPUT_WINDOW = 10000; // ms of history used for the speed estimate
+
+// The server definitively refuses or doesn't have the resource; retrying won't help
+const FATAL_STATUSES = [401, 403, 404, 410];
+
+/**
+ * Runs task(index) for every index in [0, count) with at most `concurrency` tasks in flight
+ * and passes the results to consume(result, index) strictly in index order.
+ * Only a window of `concurrency` results is held at once, so memory use stays bounded.
+ * The first failing task or consumer aborts the remaining work and rejects.
+ */
+export async function runInOrder(count, task, consume, { concurrency = DEFAULT_CONCURRENCY, signal } = {}) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+
+  const pending = new Map();
+  let next = 0;
+
+  const launch = () => {
+    while (next < count && pending.size < concurrency) {
+      const index = next++;
+      const promise = task(index, controller.signal);
+      // Failures surface when the result is awaited in order
+      promise.catch(() => {});
+      pending.set(index, promise);
+    }
+  };
+
+  try {
+    for (let i = 0; i < count; i++) {
+      if (signal?.aborted) throw new Error('Download aborted');
+      launch();
+      const result = await pending.get(i);
+      pending.delete(i);
+      // Keep the window full while this result is being consumed
+      launch();
+      await consume(result, i);
+    }
+  } catch (error) {
+    controller.abort();
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * fetch() with retries. Network errors, 5xx, 408 and 429 responses are retried with
+ * exponential backoff; 401/403/404/410 fail immediately. Errors carry the HTTP `status`
+ * and a `fatal` flag so callers can tell a missing segment from a flaky connection.
+ * With readBody (e.g. response => response.arrayBuffer()) the body is read inside the retried
+ * attempt and its result returned, so a connection dropped mid-body is retried as well.
+ */
+export async function fetchWithRetry(url, init = {}, { retries = DEFAULT_RETRIES, label = url, readBody } = {}) {
+  const { signal } = init;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const response = await fetch(url, init);
+      if (response.ok) return readBody ? await readBody(response) : response;
+
+      error = new Error(`Failed to fetch ${label} (HTTP ${response.status})`);
+      error.status = response.status;
+      error.fatal = FATAL_STATUSES.includes(response.status);
+    } catch (e) {
+      if (signal?.aborted || e.name === 'AbortError') throw e;
+      error = e;
+    }
+
+    if (error.fatal || attempt >= retries) {
+      if (!error.fatal && attempt > 0) error.message += ` after ${attempt + 1} attempts`;
+      throw error;
+    }
+
+    const delay = Math.min(BASE_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+    console.warn(`Retrying ${label} in ${delay}ms:`, error.message);
+    await sleep(delay * (0.75 + Math.random() * 0.5), signal);
+  }
+}
+
+/**
+ * Tracks completed segments and bytes over time.
+ * getStats() returns { bytes, speed (bytes/s over the last few seconds), eta (seconds or null) }.
+ * Segments restored from a previous session are counted via skip() and don't affect the speed.
+ */
+export function createThroughputMeter(total) {
+  const startedAt = Date.now();
+  const history = [{ time: startedAt, bytes: 0 }];
+  let bytes = 0;
+  let fetched = 0;
+  let completed = 0;
+
+  return {
+    get completed() {
+      return completed;
+    },
+
+    skip() {
+      completed++;
+    },
+
+    add(byteCount) {
+      bytes += byteCount;
+      fetched++;
+      completed++;
+      const now = Date.now();
+      history.push({ time: now, bytes });
+      while (history.length > 2 && now - history[1].time > THROUGHPUT_WINDOW) history.shift();
+    },
+
+    getStats() {
+      const first = history[0];
+      const last = history[history.length - 1];
+      const elapsed = (last.time - first.time) / 1000;
+      const speed = elapsed > 0 ? (last.bytes - first.bytes) / elapsed : 0;
+
+      // Remaining bytes are extrapolated from the average segment size so far
+      let eta = null;
+      if (speed > 0 && fetched > 0 && total) {
+        eta = ((total - completed) * (bytes / fetched)) / speed;
+      }
+
+      return { bytes, speed, eta };
+    }
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Download aborted'));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Download aborted'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
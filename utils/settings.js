@@ -0,0 +1,58 @@
+/**
+ * User Settings
+ * Thin wrapper around chrome.storage.sync with defaults for every preference. This is the one
+ * configuration the views, the options page, the background worker and (through the worker)
+ * the content script all read.
+ */
+
+export const DEFAULT_SETTINGS = {
+  // 'highest', 'lowest' or a target height such as '720p'
+  defaultRendition: 'highest',
+  // Output container for MPEG-TS based HLS streams: 'mp4' (remuxed) or 'ts'
+  hlsContainer: 'mp4',
+  // Number of stream segments fetched in parallel
+  segmentConcurrency: 4,
+  // Record what pages append to MediaSource buffers (takes effect when a page is reloaded)
+  captureMse: false,
+  // Keep watching scanned pages for media added later (SPA navigation, infinite scroll)
+  watchDom: false,
+  // Captured media kept per tab (oldest dropped first), and tabs kept before the least active is dropped
+  captureLimitPerTab: 100,
+  captureTabLimit: 25,
+
+  // Detection: URL extensions per media type (without the dot)
+  videoExtensions: ['mp4', 'webm', 'ogv', 'mov', 'avi', 'mkv', 'flv', 'm4v'],
+  audioExtensions: ['mp3', 'wav', 'm4a', 'aac', 'ogg', 'opus', 'flac', 'wma'],
+  streamingExtensions: ['m3u8', 'mpd'],
+  subtitleExtensions: ['vtt', 'srt', 'ass', 'ssa'],
+  // Extra response MIME types to detect, mapped to 'video', 'audio', 'streaming' or 'subtitle'
+  customMimeTypes: {},
+  // URLs containing any of these are never listed ("*" matches anything)
+  ignorePatterns: ['doubleclick.net', 'googlesyndication.com', 'imasdk.googleapis.com'],
+
+  // Milliseconds to wait for a HEAD request reporting a file's size
+  sizeRequestTimeout: 2000,
+  // Download path template; "/" creates subfolders (see utils/filename-template.js for the variables)
+  filenameTemplate: '{name}.{ext}',
+  // What Chrome does when the file already exists: 'uniquify', 'overwrite' or 'prompt'
+  filenameConflictAction: 'uniquify',
+  // Shell the copied download commands are quoted for: 'posix' (bash, zsh) or 'powershell'
+  commandShell: 'posix',
+  // Time limits offered when recording a live stream, in seconds
+  recordingLimits: [900, 1800, 3600, 7200],
+  // File names tried when guessing the master playlist of a media playlist, most likely first
+  masterPlaylistNames: ['master.m3u8', 'playlist.m3u8', 'index.m3u8', 'manifest.m3u8']
+};
+
+export async function getSettings() {
+  try {
+    const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (e) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
@@ -0,0 +1,315 @@
+/**
+ * Subtitle Converter
+ * Converts subtitles between WebVTT, SRT and ASS/SSA. Cues keep their timing and can be
+ * shifted by an offset; italic, bold and underline styling is carried over (or stripped),
+ * anything a format can't express is dropped. Shifting a file without changing its format keeps
+ * it as it is apart from the times.
+ */
+
+import { parseWebVtt, serializeWebVtt } from './webvtt.js';
+
+export const SUBTITLE_FORMATS = {
+  vtt: { label: 'WebVTT', extension: '.vtt', mimeType: 'text/vtt' },
+  srt: { label: 'SRT', extension: '.srt', mimeType: 'application/x-subrip' },
+  ass: { label: 'ASS', extension: '.ass', mimeType: 'text/x-ssa' }
+};
+
+// Styling survives conversion as these tags; everything else is format specific
+const STYLE_TAGS = ['i', 'b', 'u'];
+
+const ASS_DEFAULT_FORMAT = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+
+/**
+ * Guesses the format of a subtitle document: 'vtt', 'srt' or 'ass' (which covers SSA), or null.
+ */
+export function detectSubtitleFormat(text) {
+  const head = text.replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('WEBVTT')) return 'vtt';
+  if (/^\[Script Info\]/im.test(head) || /^\[Events\]/im.test(head)) return 'ass';
+  // SRT uses a comma before the milliseconds, though many files use a dot
+  if (/\d+:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(head)) return 'srt';
+  return null;
+}
+
+/**
+ * Converts a subtitle document.
+ * options: { from (detected when omitted), to ('vtt' | 'srt' | 'ass', defaults to `from`),
+ * offset (seconds added to every cue, may be negative), stripStyling }.
+ * Cues pushed entirely before zero by a negative offset are dropped.
+ */
+export function convertSubtitles(text, { from, to, offset = 0, stripStyling = false } = {}) {
+  const sourceFormat = from || detectSubtitleFormat(text);
+  if (!sourceFormat) throw new Error('Unrecognized subtitle format');
+  const targetFormat = to || sourceFormat;
+  if (!SUBTITLE_FORMATS[targetFormat]) throw new Error(`Unsupported subtitle format: ${targetFormat}`);
+
+  // Only the times change, so styles, regions, positioning and cue settings are kept
+  if (sourceFormat === targetFormat && !stripStyling) return shiftSubtitles(text, targetFormat, offset);
+
+  const cues = parseCues(text, sourceFormat)
+    .map(cue => ({
+      start: Math.max(0, cue.start + offset),
+      end: cue.end + offset,
+      text: (stripStyling ? removeStyleTags(cue.text) : cue.text).replace(/^\s*\n|\n\s*$/g, '')
+    }))
+    .filter(cue => cue.end > cue.start && cue.text.trim());
+
+  if (targetFormat === 'srt') return writeSrt(cues);
+  if (targetFormat === 'ass') return writeAss(cues);
+  return serializeWebVtt({
+    cues: cues.map(cue => ({ id: null, start: cue.start, end: cue.end, settings: '', text: escapeVttText(cue.text) }))
+  });
+}
+
+function shiftSubtitles(text, format, offset) {
+  const shift = (start, end) => ({ start: Math.max(0, start + offset), end: end + offset });
+
+  if (format === 'vtt') {
+    const { styles, regions, cues } = parseWebVtt(text);
+    return serializeWebVtt({
+      styles,
+      regions,
+      cues: cues
+        .map(cue => ({ ...cue, ...shift(cue.start, cue.end) }))
+        .filter(cue => cue.end > cue.start)
+    });
+  }
+
+  if (format === 'srt') {
+    const cues = [];
+    text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).forEach(block => {
+      const lines = block.split('\n').filter((line, i) => i > 0 || line.trim());
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) return;
+
+      // Anything after the end time (e.g. "X1:... Y1:..." coordinates) is kept
+      const timing = /^\s*(\S+)\s+-->\s+(\S+)(.*)$/.exec(lines[timingIndex]);
+      const start = timing && parseSrtTime(timing[1]);
+      const end = timing && parseSrtTime(timing[2]);
+      if (start == null || end == null) return;
+
+      const times = shift(start, end);
+      if (times.end <= times.start) return;
+      const rest = lines.slice(timingIndex + 1).join('\n').replace(/\n+$/, '');
+      cues.push(`${formatSrtTime(times.start)} --> ${formatSrtTime(times.end)}${timing[3]}\n${rest}`);
+    });
+    return cues.map((cue, i) => `${i + 1}\n${cue}`).join('\n\n') + '\n';
+  }
+
+  // ASS/SSA: Dialogue (and commented-out) event lines get new Start and End fields
+  let inEvents = false;
+  let eventFormat = ASS_DEFAULT_FORMAT;
+  const lines = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    const section = /^\s*\[(.+)\]\s*$/.exec(line);
+    if (section) inEvents = section[1].toLowerCase() === 'events';
+    const field = inEvents && !section && /^(\w+):\s*(.*)$/.exec(line);
+    if (field && field[1] === 'Format') eventFormat = field[2].split(',').map(name => name.trim());
+    if (!field || !['Dialogue', 'Comment'].includes(field[1])) return lines.push(line);
+
+    // Start and End follow Layer (ASS) or Marked (SSA), so the line splits on commas as is
+    const values = line.split(',');
+    const startIndex = eventFormat.indexOf('Start');
+    const endIndex = eventFormat.indexOf('End');
+    const start = startIndex > 0 ? parseAssTime(values[startIndex]) : null;
+    const end = endIndex > 0 ? parseAssTime(values[endIndex]) : null;
+    if (start == null || end == null) return lines.push(line);
+
+    const times = shift(start, end);
+    if (times.end <= times.start) return;
+    values[startIndex] = formatAssTime(times.start);
+    values[endIndex] = formatAssTime(times.end);
+    lines.push(values.join(','));
+  });
+  return lines.join('\n').replace(/\n*$/, '\n');
+}
+
+// Cues as { start, end, text } where text is plain text plus <i>, <b> and <u> tags
+function parseCues(text, format) {
+  if (format === 'vtt') {
+    return parseWebVtt(text).cues.map(cue => ({ start: cue.start, end: cue.end, text: fromVttText(cue.text) }));
+  }
+  if (format === 'srt') return parseSrt(text);
+  if (format === 'ass' || format === 'ssa') return parseAss(text);
+  throw new Error(`Unsupported subtitle format: ${format}`);
+}
+
+function parseSrt(text) {
+  const cues = [];
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter((line, i) => i > 0 || line.trim());
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const timing = /^\s*(\S+)\s+-->\s+(\S+)/.exec(lines[timingIndex]);
+    const start = timing && parseSrtTime(timing[1]);
+    const end = timing && parseSrtTime(timing[2]);
+    if (start == null || end == null) return;
+
+    cues.push({ start, end, text: fromSrtText(lines.slice(timingIndex + 1).join('\n')) });
+  });
+
+  return cues;
+}
+
+function parseAss(text) {
+  const cues = [];
+  let inEvents = false;
+  let format = ASS_DEFAULT_FORMAT;
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    const section = /^\s*\[(.+)\]\s*$/.exec(line);
+    if (section) {
+      inEvents = section[1].toLowerCase() === 'events';
+      return;
+    }
+    if (!inEvents) return;
+
+    const field = /^(\w+):\s*(.*)$/.exec(line);
+    if (!field) return;
+    if (field[1] === 'Format') {
+      format = field[2].split(',').map(name => name.trim());
+      return;
+    }
+    if (field[1] !== 'Dialogue') return;
+
+    // Text is the last field and may itself contain commas
+    const values = field[2].split(',');
+    const fields = values.slice(0, format.length - 1);
+    fields.push(values.slice(format.length - 1).join(','));
+    const get = name => fields[format.indexOf(name)];
+
+    const start = parseAssTime(get('Start'));
+    const end = parseAssTime(get('End'));
+    if (start == null || end == null) return;
+
+    cues.push({ start, end, text: fromAssText(get('Text') || '') });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+function writeSrt(cues) {
+  return cues
+    .map((cue, i) => `${i + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cue.text}`)
+    .join('\n\n') + '\n';
+}
+
+function writeAss(cues) {
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    'PlayResX: 384',
+    'PlayResY: 288',
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,2,10,10,10,1',
+    '',
+    '[Events]',
+    `Format: ${ASS_DEFAULT_FORMAT.join(', ')}`
+  ];
+  const events = cues.map(cue =>
+    `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Default,,0,0,0,,${toAssText(cue.text)}`
+  );
+  return [...header, ...events].join('\n') + '\n';
+}
+
+// WebVTT markup: classes, voices, ruby and karaoke timestamps have no SRT/ASS equivalent
+function fromVttText(text) {
+  return decodeEntities(keepStyleTags(text));
+}
+
+// SRT players also accept <font> tags and ASS-style {\an8} overrides
+function fromSrtText(text) {
+  return keepStyleTags(text.replace(/\{\\[^}]*\}/g, ''));
+}
+
+function fromAssText(text) {
+  return text
+    .replace(/\{([^}]*)\}/g, (match, overrides) => {
+      // {\i1\b1} -> <i><b>; positioning, colours, karaoke etc. are dropped
+      const tags = [];
+      overrides.replace(/\\([ibu])(\d)/g, (tag, name, state) => {
+        tags.push(state === '0' ? `</${name}>` : `<${name}>`);
+        return tag;
+      });
+      return tags.join('');
+    })
+    .replace(/\\N|\\n/g, '\n')
+    .replace(/\\h/g, ' ');
+}
+
+function toAssText(text) {
+  return text
+    .replace(/<(\/?)([ibu])>/g, (match, closing, name) => `{\\${name}${closing ? 0 : 1}}`)
+    .replace(/\n/g, '\\N');
+}
+
+// Keeps <i>, <b> and <u> (without WebVTT class annotations) and removes every other tag
+function keepStyleTags(text) {
+  return text.replace(/<(\/?)([a-z0-9]+)[^>]*>/gi, (match, closing, name) => {
+    const tag = name.toLowerCase();
+    return STYLE_TAGS.includes(tag) ? `<${closing}${tag}>` : '';
+  });
+}
+
+function removeStyleTags(text) {
+  return text.replace(/<\/?[ibu]>/g, '');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lrm;|&rlm;/g, '')
+    .replace(/&amp;/g, '&');
+}
+
+// The style tags stay markup; any other "<" or "&" is literal text in WebVTT
+function escapeVttText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/<(?!\/?[ibu]>)/g, '&lt;');
+}
+
+// "00:01:02,345" (a "." separator and short fractions are tolerated)
+function parseSrtTime(text) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(text);
+  if (!match) return null;
+  const [, h, m, s, ms] = match;
+  return parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+}
+
+// "0:01:02.34" (centiseconds)
+function parseAssTime(text) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})(?:\.(\d{1,3}))?$/.exec((text || '').trim());
+  if (!match) return null;
+  const [, h, m, s, fraction = '0'] = match;
+  return parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10) + parseFloat(`0.${fraction}`);
+}
+
+function formatSrtTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)},${String(totalMs % 1000).padStart(3, '0')}`;
+}
+
+function formatAssTime(seconds) {
+  const totalCs = Math.round(seconds * 100);
+  const h = Math.floor(totalCs / 360000);
+  const m = Math.floor((totalCs % 360000) / 6000);
+  const s = Math.floor((totalCs % 6000) / 100);
+  return `${h}:${pad(m)}:${pad(s)}.${pad(totalCs % 100)}`;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
@@ -0,0 +1,95 @@
+/**
+ * Subtitle Downloader Utility
+ * Saves subtitle tracks declared inside HLS and DASH manifests, and standalone subtitle files
+ * that need converting. Segmented WebVTT is fetched and joined into a single file.
+ */
+
+import { parseMediaPlaylist, isFragmentedMp4Playlist } from './hls-parser.js';
+import { parseMpd } from './dash-parser.js';
+import { joinWebVttSegments } from './webvtt.js';
+import { runInOrder, fetchWithRetry, DEFAULT_CONCURRENCY } from './segment-scheduler.js';
+import { saveBlob } from './file-output.js';
+import { convertSubtitles, detectSubtitleFormat, SUBTITLE_FORMATS } from './subtitle-converter.js';
+
+/**
+ * Downloads a subtitle track.
+ * options.source is 'hls' (url is the subtitle media playlist), 'dash' (url is the MPD and
+ * options.representationId names the text representation) or 'file' (a single subtitle file).
+ * options.outputFormat ('vtt' | 'srt' | 'ass') converts the result and options.offset shifts
+ * every cue by that many seconds; without either the subtitles are saved as they are.
+ */
+export async function downloadSubtitleTrack(url, filename, onProgress, signal, options = {}) {
+  try {
+    let segments;
+    if (options.source === 'file') {
+      segments = [{ url, range: null }];
+    } else if (options.source === 'dash') {
+      segments = await getDashSegments(url, options.representationId, signal);
+    } else {
+      segments = await getHlsSegments(url, signal);
+    }
+
+    if (segments.length === 0) throw new Error('No subtitle segments found');
+
+    const texts = [];
+    if (onProgress) onProgress(0, segments.length);
+
+    await runInOrder(
+      segments.length,
+      (i, taskSignal) => fetchSegmentText(segments[i], taskSignal, `subtitle segment ${i}`),
+      (text, i) => {
+        texts.push(text);
+        if (onProgress) onProgress(i + 1, segments.length);
+      },
+      { concurrency: options.concurrency || DEFAULT_CONCURRENCY, signal }
+    );
+
+    let text = options.source === 'file' ? texts[0] : joinWebVttSegments(texts);
+    let format = options.source === 'file' ? detectSubtitleFormat(text) : 'vtt';
+    if (!format) throw new Error('Unrecognized subtitle format');
+
+    if (options.outputFormat || options.offset) {
+      text = convertSubtitles(text, { from: format, to: options.outputFormat, offset: options.offset || 0 });
+      format = options.outputFormat || format;
+    }
+
+    const { extension, mimeType } = SUBTITLE_FORMATS[format];
+    const name = filename.endsWith(extension) ? filename : filename + extension;
+    await saveBlob(new Blob([text], { type: mimeType }), name);
+    return true;
+  } catch (error) {
+    console.error('Subtitle Download Error:', error);
+    throw error;
+  }
+}
+
+// Segments as { url, range } where range is an HTTP byte range or null
+async function getHlsSegments(url, signal) {
+  const response = await fetchWithRetry(url, { signal }, { label: 'subtitle playlist' });
+  const playlist = parseMediaPlaylist(await response.text(), url);
+  if (isFragmentedMp4Playlist(playlist)) throw new Error('Only WebVTT subtitle tracks can be extracted');
+
+  return playlist.segments.map(segment => ({
+    url: segment.uri,
+    range: segment.byteRange
+      ? `${segment.byteRange.offset}-${segment.byteRange.offset + segment.byteRange.length - 1}`
+      : null
+  }));
+}
+
+async function getDashSegments(url, representationId, signal) {
+  const response = await fetchWithRetry(url, { signal }, { label: 'manifest' });
+  const manifest = parseMpd(await response.text(), response.url || url);
+
+  const rep = manifest.representations.find(r => r.id === representationId && r.kind === 'text');
+  if (!rep) throw new Error('Subtitle track not found in manifest');
+  // Subtitles packed into MP4 fragments (wvtt, stpp) would need demuxing first
+  if (rep.initSegment || !/vtt/.test(rep.mimeType)) throw new Error('Only WebVTT subtitle tracks can be extracted');
+
+  return rep.segments.map(segment => ({ url: segment.url, range: segment.range || null }));
+}
+
+async function fetchSegmentText(segment, signal, label) {
+  const headers = segment.range ? { Range: `bytes=${segment.range}` } : undefined;
+  return fetchWithRetry(segment.url, { signal, headers }, { label, readBody: response => response.text() });
+}
@@ -0,0 +1,28 @@
+/**
+ * Timecode Helpers
+ * Converts between seconds and the h:mm:ss notation used for clip ranges.
+ */
+
+/**
+ * Parses "90", "1:30", "1:02:03" or "1:02:03.5" into seconds.
+ * Returns null for empty input and NaN for anything unparseable.
+ */
+export function parseTimecode(text) {
+  const value = String(text ?? '').trim();
+  if (!value) return null;
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return NaN;
+
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Formats seconds as m:ss or h:mm:ss, keeping tenths when the value isn't whole.
+ */
+export function formatTimecode(seconds) {
+  const rounded = Math.round(seconds * 10) / 10;
+  const h = Math.floor(rounded / 3600);
+  const m = Math.floor((rounded % 3600) / 60);
+  const s = rounded % 60;
+  const sec = (s < 10 ? '0' : '') + (Number.isInteger(s) ? s : s.toFixed(1));
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
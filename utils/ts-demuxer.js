@@ -0,0 +1,601 @@
+/**
+ * MPEG-TS Demuxer
+ * Splits a transport stream into elementary stream samples (H.264/H.265 access units,
+ * AAC/MP3 frames) with 90kHz timestamps. Data can be pushed in arbitrary chunks,
+ * so segments are fed in one after another as they arrive.
+ */
+
+const PACKET_SIZE = 188;
+const SYNC_BYTE = 0x47;
+const PTS_WRAP = 8589934592; // 2^33
+
+const STREAM_TYPES = {
+  0x1b: { kind: 'video', codec: 'avc' },
+  0x24: { kind: 'video', codec: 'hevc' },
+  0x0f: { kind: 'audio', codec: 'aac' },
+  0x03: { kind: 'audio', codec: 'mp3' },
+  0x04: { kind: 'audio', codec: 'mp3' }
+};
+
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+export class TsDemuxer {
+  constructor() {
+    this.remainder = null;
+    this.pmtPid = null;
+    this.streams = new Map(); // pid -> elementary stream state
+    this.tracks = [];
+  }
+
+  /**
+   * Feeds transport stream bytes; returns the samples completed by this chunk.
+   * Each sample is { track, data, pts, dts, isKeyframe } with timestamps in 90kHz units.
+   */
+  push(bytes) {
+    let data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    if (this.remainder) {
+      data = concatBytes([this.remainder, data]);
+      this.remainder = null;
+    }
+
+    const samples = [];
+    let offset = 0;
+
+    while (offset + PACKET_SIZE <= data.length) {
+      if (data[offset] !== SYNC_BYTE) {
+        // Lost sync, scan forward to the next sync byte
+        offset++;
+        continue;
+      }
+      this.parsePacket(data.subarray(offset, offset + PACKET_SIZE), samples);
+      offset += PACKET_SIZE;
+    }
+
+    if (offset < data.length) this.remainder = data.slice(offset);
+    return samples;
+  }
+
+  /**
+   * Emits whatever is still buffered once the last segment has been pushed.
+   */
+  flush() {
+    const samples = [];
+    this.streams.forEach(stream => {
+      if (stream.chunks.length > 0) this.processPes(stream, samples);
+    });
+    return samples;
+  }
+
+  parsePacket(packet, samples) {
+    const payloadStart = (packet[1] & 0x40) !== 0;
+    const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+    const adaptationControl = (packet[3] >> 4) & 0x03;
+
+    if (!(adaptationControl & 0x01)) return; // No payload
+
+    let offset = 4;
+    if (adaptationControl & 0x02) offset += 1 + packet[4];
+    if (offset >= PACKET_SIZE) return;
+
+    const payload = packet.subarray(offset);
+
+    if (pid === 0) {
+      this.parsePat(payload, payloadStart);
+    } else if (pid === this.pmtPid) {
+      this.parsePmt(payload, payloadStart);
+    } else if (this.streams.has(pid)) {
+      const stream = this.streams.get(pid);
+      if (payloadStart && stream.chunks.length > 0) {
+        this.processPes(stream, samples);
+      }
+      if (payloadStart || stream.chunks.length > 0) {
+        stream.chunks.push(payload);
+      }
+    }
+  }
+
+  parsePat(payload, payloadStart) {
+    const table = payloadStart ? payload.subarray(payload[0] + 1) : payload;
+    const sectionLength = ((table[1] & 0x0f) << 8) | table[2];
+    const end = Math.min(3 + sectionLength - 4, table.length);
+
+    for (let i = 8; i + 4 <= end; i += 4) {
+      const programNumber = (table[i] << 8) | table[i + 1];
+      if (programNumber !== 0) {
+        this.pmtPid = ((table[i + 2] & 0x1f) << 8) | table[i + 3];
+        return;
+      }
+    }
+  }
+
+  parsePmt(payload, payloadStart) {
+    const table = payloadStart ? payload.subarray(payload[0] + 1) : payload;
+    if (table[0] !== 0x02) return;
+
+    const sectionLength = ((table[1] & 0x0f) << 8) | table[2];
+    const programInfoLength = ((table[10] & 0x0f) << 8) | table[11];
+    const end = Math.min(3 + sectionLength - 4, table.length);
+
+    let hasVideo = this.tracks.some(t => t.kind === 'video');
+    let hasAudio = this.tracks.some(t => t.kind === 'audio');
+
+    for (let i = 12 + programInfoLength; i + 5 <= end;) {
+      const streamType = table[i];
+      const pid = ((table[i + 1] & 0x1f) << 8) | table[i + 2];
+      const esInfoLength = ((table[i + 3] & 0x0f) << 8) | table[i + 4];
+      i += 5 + esInfoLength;
+
+      const info = STREAM_TYPES[streamType];
+      if (!info || this.streams.has(pid)) continue;
+
+      // Only the first video and first audio stream are kept
+      if ((info.kind === 'video' && hasVideo) || (info.kind === 'audio' && hasAudio)) continue;
+      if (info.kind === 'video') hasVideo = true;
+      if (info.kind === 'audio') hasAudio = true;
+
+      const track = {
+        id: this.tracks.length + 1,
+        kind: info.kind,
+        codec: info.codec,
+        ready: false
+      };
+      this.tracks.push(track);
+      this.streams.set(pid, { pid, track, chunks: [], lastDts: null, pending: null, nextPts: null, sawKeyframe: false });
+    }
+  }
+
+  processPes(stream, samples) {
+    const data = concatBytes(stream.chunks);
+    stream.chunks = [];
+
+    if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) return;
+
+    const ptsDtsFlags = data[7] >> 6;
+    const headerLength = data[8];
+    let pts = null;
+    let dts = null;
+
+    if (ptsDtsFlags & 0x02) {
+      pts = readTimestamp(data, 9);
+      dts = ptsDtsFlags === 0x03 ? readTimestamp(data, 14) : pts;
+    }
+
+    // Undo 33-bit wraparound so timestamps keep increasing across long recordings
+    if (dts !== null) {
+      if (stream.lastDts !== null) {
+        dts = unwrapTimestamp(dts, stream.lastDts);
+        pts = unwrapTimestamp(pts, dts);
+      }
+      stream.lastDts = dts;
+    }
+
+    const payload = data.subarray(9 + headerLength);
+
+    switch (stream.track.codec) {
+      case 'avc':
+      case 'hevc':
+        this.processVideo(stream, payload, pts, dts, samples);
+        break;
+      case 'aac':
+        this.processAac(stream, payload, pts, samples);
+        break;
+      case 'mp3':
+        this.processMp3(stream, payload, pts, samples);
+        break;
+    }
+  }
+
+  processVideo(stream, payload, pts, dts, samples) {
+    const track = stream.track;
+    const isHevc = track.codec === 'hevc';
+    const units = [];
+    let isKeyframe = false;
+
+    splitNalUnits(payload).forEach(nal => {
+      if (isHevc) {
+        const type = (nal[0] >> 1) & 0x3f;
+        if (type === 32) { track.vps = track.vps || nal; return; }
+        if (type === 33) { if (!track.sps) applyHevcSps(track, nal); return; }
+        if (type === 34) { track.pps = track.pps || nal; return; }
+        if (type === 35) return; // Access unit delimiter
+        if (type >= 16 && type <= 21) isKeyframe = true;
+      } else {
+        const type = nal[0] & 0x1f;
+        if (type === 7) { if (!track.sps) applyAvcSps(track, nal); return; }
+        if (type === 8) { track.pps = track.pps || nal; return; }
+        if (type === 9) return; // Access unit delimiter
+        if (type === 5) isKeyframe = true;
+      }
+      units.push(nal);
+    });
+
+    track.ready = Boolean(track.sps && track.pps && (!isHevc || track.vps));
+
+    // Frames before the first keyframe can't be decoded, drop them
+    if (!track.ready || units.length === 0 || pts === null) return;
+    if (!stream.sawKeyframe && !isKeyframe) return;
+    stream.sawKeyframe = true;
+
+    // Annex-B start codes become 4-byte length prefixes
+    const size = units.reduce((sum, nal) => sum + 4 + nal.length, 0);
+    const sample = new Uint8Array(size);
+    const view = new DataView(sample.buffer);
+    let offset = 0;
+    units.forEach(nal => {
+      view.setUint32(offset, nal.length);
+      sample.set(nal, offset + 4);
+      offset += 4 + nal.length;
+    });
+
+    samples.push({ track, data: sample, pts, dts, isKeyframe });
+  }
+
+  processAac(stream, payload, pts, samples) {
+    const track = stream.track;
+    let data = payload;
+    if (stream.pending) {
+      data = concatBytes([stream.pending, payload]);
+      stream.pending = null;
+    } else if (pts !== null) {
+      stream.nextPts = pts;
+    }
+    if (stream.nextPts === null) return;
+
+    let offset = 0;
+    while (offset + 7 <= data.length) {
+      if (data[offset] !== 0xff || (data[offset + 1] & 0xf6) !== 0xf0) {
+        offset++;
+        continue;
+      }
+
+      const protectionAbsent = data[offset + 1] & 0x01;
+      const profile = (data[offset + 2] >> 6) & 0x03;
+      const rateIndex = (data[offset + 2] >> 2) & 0x0f;
+      const channels = ((data[offset + 2] & 0x01) << 2) | (data[offset + 3] >> 6);
+      const frameLength = ((data[offset + 3] & 0x03) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+      const headerLength = protectionAbsent ? 7 : 9;
+
+      if (frameLength < headerLength) { offset++; continue; }
+      if (offset + frameLength > data.length) break;
+
+      if (!track.ready) {
+        track.sampleRate = AAC_SAMPLE_RATES[rateIndex] || 44100;
+        track.channels = channels || 2;
+        // AudioSpecificConfig: objectType(5) frequencyIndex(4) channelConfig(4) + 3 zero bits
+        const objectType = profile + 1;
+        track.config = new Uint8Array([
+          (objectType << 3) | (rateIndex >> 1),
+          ((rateIndex & 0x01) << 7) | (channels << 3)
+        ]);
+        track.ready = true;
+      }
+
+      samples.push({
+        track,
+        data: data.slice(offset + headerLength, offset + frameLength),
+        pts: stream.nextPts,
+        dts: stream.nextPts,
+        isKeyframe: true
+      });
+      stream.nextPts += 1024 * 90000 / track.sampleRate;
+      offset += frameLength;
+    }
+
+    if (offset < data.length) stream.pending = data.slice(offset);
+  }
+
+  processMp3(stream, payload, pts, samples) {
+    const track = stream.track;
+    let data = payload;
+    if (stream.pending) {
+      data = concatBytes([stream.pending, payload]);
+      stream.pending = null;
+    } else if (pts !== null) {
+      stream.nextPts = pts;
+    }
+    if (stream.nextPts === null) return;
+
+    let offset = 0;
+    while (offset + 4 <= data.length) {
+      const header = parseMpegAudioHeader(data, offset);
+      if (!header) { offset++; continue; }
+      if (offset + header.frameLength > data.length) break;
+
+      if (!track.ready) {
+        track.sampleRate = header.sampleRate;
+        track.channels = header.channels;
+        track.mpegVersion = header.version;
+        track.ready = true;
+      }
+
+      samples.push({
+        track,
+        data: data.slice(offset, offset + header.frameLength),
+        pts: stream.nextPts,
+        dts: stream.nextPts,
+        isKeyframe: true
+      });
+      stream.nextPts += header.samplesPerFrame * 90000 / header.sampleRate;
+      offset += header.frameLength;
+    }
+
+    if (offset < data.length) stream.pending = data.slice(offset);
+  }
+}
+
+function readTimestamp(data, offset) {
+  return (data[offset] & 0x0e) * 536870912 +
+    data[offset + 1] * 4194304 +
+    (data[offset + 2] & 0xfe) * 16384 +
+    data[offset + 3] * 128 +
+    (data[offset + 4] & 0xfe) / 2;
+}
+
+function unwrapTimestamp(value, reference) {
+  while (value - reference > PTS_WRAP / 2) value -= PTS_WRAP;
+  while (reference - value > PTS_WRAP / 2) value += PTS_WRAP;
+  return value;
+}
+
+function splitNalUnits(data) {
+  const units = [];
+  let start = -1;
+  let i = 0;
+
+  while (i + 3 <= data.length) {
+    if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+      if (start >= 0) units.push(trimTrailingZeros(data.subarray(start, i)));
+      i += 3;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0 && start < data.length) units.push(data.subarray(start));
+
+  return units.filter(nal => nal.length > 0);
+}
+
+// The zero byte of a 4-byte start code belongs to the next start code, not the NAL
+function trimTrailingZeros(nal) {
+  let end = nal.length;
+  while (end > 0 && nal[end - 1] === 0) end--;
+  return nal.subarray(0, end);
+}
+
+const MPEG_BITRATES = {
+  // [version 1][layer], [version 2/2.5][layer] in kbps
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+function parseMpegAudioHeader(data, offset) {
+  if (data[offset] !== 0xff || (data[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (data[offset + 1] >> 3) & 0x03;
+  const layerBits = (data[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (data[offset + 2] >> 4) & 0x0f;
+  const rateIndex = (data[offset + 2] >> 2) & 0x03;
+  const padding = (data[offset + 2] >> 1) & 0x01;
+  const channelMode = (data[offset + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_BITRATES[version === 1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][rateIndex];
+
+  let samplesPerFrame;
+  let frameLength;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+    frameLength = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+  } else {
+    samplesPerFrame = layer === 3 && version !== 1 ? 576 : 1152;
+    frameLength = Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+  }
+
+  return {
+    version,
+    sampleRate,
+    samplesPerFrame,
+    frameLength,
+    channels: channelMode === 3 ? 1 : 2
+  };
+}
+
+// --- Parameter set parsing -------------------------------------------------
+
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  readBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const byte = this.bytes[this.pos >> 3] || 0;
+      value = value * 2 + ((byte >> (7 - (this.pos & 7))) & 1);
+      this.pos++;
+    }
+    return value;
+  }
+
+  skipBits(count) {
+    this.pos += count;
+  }
+
+  readUE() {
+    let zeros = 0;
+    while (this.readBits(1) === 0 && zeros < 32) zeros++;
+    return Math.pow(2, zeros) - 1 + this.readBits(zeros);
+  }
+
+  readSE() {
+    const value = this.readUE();
+    return value & 1 ? (value + 1) / 2 : -value / 2;
+  }
+}
+
+// Removes emulation prevention bytes (00 00 03 -> 00 00)
+function toRbsp(nal) {
+  const out = [];
+  for (let i = 0; i < nal.length; i++) {
+    if (i >= 2 && nal[i] === 3 && nal[i - 1] === 0 && nal[i - 2] === 0) continue;
+    out.push(nal[i]);
+  }
+  return new Uint8Array(out);
+}
+
+function applyAvcSps(track, nal) {
+  track.sps = nal;
+  const reader = new BitReader(toRbsp(nal));
+  reader.skipBits(8); // NAL header
+
+  const profileIdc = reader.readBits(8);
+  reader.skipBits(8); // constraint flags
+  reader.skipBits(8); // level
+  reader.readUE(); // seq_parameter_set_id
+
+  let chromaFormatIdc = 1;
+  if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profileIdc)) {
+    chromaFormatIdc = reader.readUE();
+    if (chromaFormatIdc === 3) reader.skipBits(1);
+    reader.readUE(); // bit_depth_luma_minus8
+    reader.readUE(); // bit_depth_chroma_minus8
+    reader.skipBits(1); // qpprime_y_zero_transform_bypass_flag
+    if (reader.readBits(1)) {
+      const listCount = chromaFormatIdc !== 3 ? 8 : 12;
+      for (let i = 0; i < listCount; i++) {
+        if (reader.readBits(1)) skipScalingList(reader, i < 6 ? 16 : 64);
+      }
+    }
+  }
+
+  reader.readUE(); // log2_max_frame_num_minus4
+  const picOrderCntType = reader.readUE();
+  if (picOrderCntType === 0) {
+    reader.readUE();
+  } else if (picOrderCntType === 1) {
+    reader.skipBits(1);
+    reader.readSE();
+    reader.readSE();
+    const cycle = reader.readUE();
+    for (let i = 0; i < cycle; i++) reader.readSE();
+  }
+  reader.readUE(); // max_num_ref_frames
+  reader.skipBits(1); // gaps_in_frame_num_value_allowed_flag
+
+  const widthInMbs = reader.readUE() + 1;
+  const heightInMapUnits = reader.readUE() + 1;
+  const frameMbsOnly = reader.readBits(1);
+  if (!frameMbsOnly) reader.skipBits(1);
+  reader.skipBits(1); // direct_8x8_inference_flag
+
+  let cropLeft = 0;
+  let cropRight = 0;
+  let cropTop = 0;
+  let cropBottom = 0;
+  if (reader.readBits(1)) {
+    cropLeft = reader.readUE();
+    cropRight = reader.readUE();
+    cropTop = reader.readUE();
+    cropBottom = reader.readUE();
+  }
+
+  const cropUnitX = chromaFormatIdc === 0 || chromaFormatIdc === 3 ? 1 : 2;
+  const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+  track.width = widthInMbs * 16 - (cropLeft + cropRight) * cropUnitX;
+  track.height = (2 - frameMbsOnly) * heightInMapUnits * 16 - (cropTop + cropBottom) * cropUnitY;
+}
+
+function skipScalingList(reader, size) {
+  let last = 8;
+  let next = 8;
+  for (let j = 0; j < size; j++) {
+    if (next !== 0) next = (last + reader.readSE() + 256) % 256;
+    last = next === 0 ? last : next;
+  }
+}
+
+function applyHevcSps(track, nal) {
+  track.sps = nal;
+  const rbsp = toRbsp(nal);
+  const reader = new BitReader(rbsp);
+  reader.skipBits(16); // NAL header
+  reader.skipBits(4); // sps_video_parameter_set_id
+  const maxSubLayersMinus1 = reader.readBits(3);
+  const temporalIdNested = reader.readBits(1);
+
+  // general_profile_tier_level is byte aligned here and copied verbatim into hvcC
+  track.profileTierLevel = rbsp.slice(3, 15);
+  track.numTemporalLayers = maxSubLayersMinus1 + 1;
+  track.temporalIdNested = temporalIdNested;
+  reader.skipBits(96);
+
+  const subLayerProfilePresent = [];
+  const subLayerLevelPresent = [];
+  for (let i = 0; i < maxSubLayersMinus1; i++) {
+    subLayerProfilePresent.push(reader.readBits(1));
+    subLayerLevelPresent.push(reader.readBits(1));
+  }
+  if (maxSubLayersMinus1 > 0) {
+    for (let i = maxSubLayersMinus1; i < 8; i++) reader.skipBits(2);
+  }
+  for (let i = 0; i < maxSubLayersMinus1; i++) {
+    if (subLayerProfilePresent[i]) reader.skipBits(88);
+    if (subLayerLevelPresent[i]) reader.skipBits(8);
+  }
+
+  reader.readUE(); // sps_seq_parameter_set_id
+  const chromaFormatIdc = reader.readUE();
+  if (chromaFormatIdc === 3) reader.skipBits(1);
+
+  let width = reader.readUE();
+  let height = reader.readUE();
+
+  if (reader.readBits(1)) {
+    const subWidth = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+    const subHeight = chromaFormatIdc === 1 ? 2 : 1;
+    const left = reader.readUE();
+    const right = reader.readUE();
+    const top = reader.readUE();
+    const bottom = reader.readUE();
+    width -= (left + right) * subWidth;
+    height -= (top + bottom) * subHeight;
+  }
+
+  track.chromaFormatIdc = chromaFormatIdc;
+  track.bitDepthLumaMinus8 = reader.readUE();
+  track.bitDepthChromaMinus8 = reader.readUE();
+  track.width = width;
+  track.height = height;
+}
+
+export function concatBytes(chunks) {
+  const size = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const out = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+}
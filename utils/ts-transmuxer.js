@@ -0,0 +1,95 @@
+/**
+ * TS to MP4 Transmuxer
+ * Glues the MPEG-TS demuxer to the MP4 muxer: segments go in one by one, mdat payload
+ * chunks come out, and the header/moov are produced once the stream has ended.
+ * Several transport streams (e.g. a video rendition and a separate audio rendition)
+ * can be muxed into the same file by pushing them under different source names.
+ */
+
+import { TsDemuxer } from './ts-demuxer.js';
+import { Mp4Muxer } from './mp4-muxer.js';
+
+export class TsTransmuxer {
+  /**
+   * kinds maps each source to the track kinds taken from it, for example
+   * { main: ['video'], audio: ['audio'] } to replace the variant's own audio.
+   */
+  constructor(kinds = { main: ['video', 'audio'] }) {
+    this.kinds = kinds;
+    this.demuxers = new Map();
+    this.trackIds = new Map(); // `${source}:${demuxer track id}` -> muxer track id
+    this.muxer = new Mp4Muxer();
+    this.sampleCount = 0;
+  }
+
+  /**
+   * Feeds one (decrypted) TS segment and returns the mdat payload chunks it produced.
+   */
+  push(bytes, source = 'main') {
+    return this.mux(this.getDemuxer(source).push(bytes), source);
+  }
+
+  /**
+   * Drains samples still buffered in the demuxers. Call after the last segment.
+   */
+  flush() {
+    const chunks = [];
+    this.demuxers.forEach((demuxer, source) => chunks.push(...this.mux(demuxer.flush(), source)));
+    return chunks;
+  }
+
+  /**
+   * False when a source carries no codec we can remux (checked after its first segment).
+   */
+  isSupported(source = 'main') {
+    const demuxer = this.demuxers.get(source);
+    return Boolean(demuxer) && demuxer.tracks.some(track => this.accepts(source, track));
+  }
+
+  get hasSamples() {
+    return this.sampleCount > 0;
+  }
+
+  get hasVideo() {
+    return [...this.muxer.tracks.values()].some(track => track.info.kind === 'video');
+  }
+
+  get hasAudio() {
+    return [...this.muxer.tracks.values()].some(track => track.info.kind === 'audio');
+  }
+
+  getHeader() {
+    return this.muxer.getHeader();
+  }
+
+  getMoov() {
+    return this.muxer.getMoov();
+  }
+
+  getDemuxer(source) {
+    if (!this.demuxers.has(source)) this.demuxers.set(source, new TsDemuxer());
+    return this.demuxers.get(source);
+  }
+
+  accepts(source, track) {
+    return (this.kinds[source] || []).includes(track.kind);
+  }
+
+  mux(samples, source) {
+    const chunks = [];
+    samples.forEach(sample => {
+      if (!this.accepts(source, sample.track)) return;
+
+      // Each demuxer numbers its tracks from 1, so they are renumbered for the shared muxer
+      const key = `${source}:${sample.track.id}`;
+      if (!this.trackIds.has(key)) {
+        const id = this.trackIds.size + 1;
+        this.trackIds.set(key, id);
+        this.muxer.addTrack({ ...sample.track, id });
+      }
+      chunks.push(this.muxer.addSample(this.trackIds.get(key), sample));
+      this.sampleCount++;
+    });
+    return chunks;
+  }
+}
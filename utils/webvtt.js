@@ -0,0 +1,154 @@
+/**
+ * WebVTT Utility
+ * Parses and writes WebVTT documents, and joins the segmented WebVTT that HLS and DASH
+ * subtitle tracks are delivered as into one standalone file.
+ */
+
+const MPEGTS_CLOCK = 90000; // X-TIMESTAMP-MAP MPEGTS values are 90 kHz ticks
+const MPEGTS_ROLLOVER = 2 ** 33;
+
+/**
+ * Parses a WebVTT timestamp ("hh:mm:ss.mmm" or "mm:ss.mmm") into seconds. Returns NaN when invalid.
+ */
+export function parseTimestamp(text) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/.exec((text || '').trim());
+  if (!match) return NaN;
+  const [, h = '0', m, s, ms] = match;
+  return parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+}
+
+/**
+ * Formats seconds as a WebVTT timestamp ("hh:mm:ss.mmm").
+ */
+export function formatTimestamp(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Parses a WebVTT document.
+ * Returns { styles, regions, cues, timestampMap } where cues are { id, start, end, settings, text }
+ * with times in seconds, and timestampMap is { mpegts, local } from the X-TIMESTAMP-MAP header
+ * HLS adds to every segment (null when absent). Comments (NOTE blocks) are dropped.
+ */
+export function parseWebVtt(text) {
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/)
+    // Segment files end in a newline, which would otherwise stay on their last cue's text
+    .map(block => block.replace(/^\n+/, '').trimEnd())
+    .filter(Boolean);
+
+  const parsed = { styles: [], regions: [], cues: [], timestampMap: null };
+  if (blocks.length === 0 || !blocks[0].startsWith('WEBVTT')) return parsed;
+
+  const mapLine = blocks[0].split('\n').find(line => line.startsWith('X-TIMESTAMP-MAP='));
+  if (mapLine) parsed.timestampMap = parseTimestampMap(mapLine.substring('X-TIMESTAMP-MAP='.length));
+
+  blocks.slice(1).forEach(block => {
+    if (/^NOTE($|\s)/.test(block)) return;
+    if (/^STYLE($|\s)/.test(block)) return parsed.styles.push(block);
+    if (/^REGION($|\s)/.test(block)) return parsed.regions.push(block);
+
+    const lines = block.split('\n');
+    const hasId = !lines[0].includes('-->');
+    const timing = /^(\S+)\s+-->\s+(\S+)\s*(.*)$/.exec(hasId ? lines[1] || '' : lines[0]);
+    if (!timing) return;
+
+    const start = parseTimestamp(timing[1]);
+    const end = parseTimestamp(timing[2]);
+    if (Number.isNaN(start) || Number.isNaN(end)) return;
+
+    parsed.cues.push({
+      id: hasId ? lines[0] : null,
+      start,
+      end,
+      settings: timing[3],
+      text: lines.slice(hasId ? 2 : 1).join('\n')
+    });
+  });
+
+  return parsed;
+}
+
+/**
+ * Writes { styles, regions, cues } back out as a WebVTT document.
+ */
+export function serializeWebVtt({ styles = [], regions = [], cues }) {
+  const blocks = ['WEBVTT', ...styles, ...regions];
+  cues.forEach(cue => {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`;
+    blocks.push([cue.id, timing, cue.text].filter(line => line != null).join('\n'));
+  });
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Joins WebVTT segments (in playlist order) into one document.
+ * Segments carrying an X-TIMESTAMP-MAP are placed on the MPEG-TS timeline and made relative
+ * to the first segment's timestamp, i.e. the start of the stream, so the result lines up with
+ * the downloaded video. Cues repeated across segment boundaries are written once.
+ */
+export function joinWebVttSegments(segments) {
+  const documents = segments.map(parseWebVtt);
+  const base = documents.find(doc => doc.timestampMap)?.timestampMap;
+  const lastCueByText = new Map();
+  const joined = { styles: [], regions: [], cues: [] };
+
+  documents.forEach(doc => {
+    let shift = 0;
+    if (base && doc.timestampMap) {
+      shift = (unwrapMpegts(doc.timestampMap.mpegts, base.mpegts) - base.mpegts) / MPEGTS_CLOCK
+        - doc.timestampMap.local;
+    }
+
+    doc.styles.forEach(style => { if (!joined.styles.includes(style)) joined.styles.push(style); });
+    doc.regions.forEach(region => { if (!joined.regions.includes(region)) joined.regions.push(region); });
+
+    doc.cues.forEach(cue => {
+      const start = Math.max(0, cue.start + shift);
+      const end = cue.end + shift;
+      if (end <= start) return;
+
+      // A cue spanning a segment boundary is repeated in both segments; keep one covering both
+      const previous = lastCueByText.get(cue.text);
+      if (previous && start <= previous.end + 0.001 && end >= previous.start) {
+        previous.end = Math.max(previous.end, end);
+        return;
+      }
+      const joinedCue = { ...cue, start, end };
+      lastCueByText.set(cue.text, joinedCue);
+      joined.cues.push(joinedCue);
+    });
+  });
+
+  joined.cues.sort((a, b) => a.start - b.start);
+  return serializeWebVtt(joined);
+}
+
+// "MPEGTS:900000,LOCAL:00:00:00.000" (attributes may come in either order)
+function parseTimestampMap(text) {
+  const mpegts = /MPEGTS:(\d+)/.exec(text);
+  const local = /LOCAL:([\d:.]+)/.exec(text);
+  if (!mpegts) return null;
+  return {
+    mpegts: parseInt(mpegts[1], 10),
+    local: local ? parseTimestamp(local[1]) || 0 : 0
+  };
+}
+
+// MPEG-TS timestamps are 33 bits and wrap around after ~26.5 hours
+function unwrapMpegts(value, reference) {
+  let unwrapped = value;
+  while (unwrapped < reference - MPEGTS_ROLLOVER / 2) unwrapped += MPEGTS_ROLLOVER;
+  return unwrapped;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}